@@ -3,6 +3,391 @@
  */
 const DELAY_MS = 400; // 0.4 секунды
 
+/**
+ * Константа: количество ячеек, пересчитываемых за один шаг фонового обновления
+ */
+const REFRESH_CHUNK_SIZE = 20;
+
+/**
+ * Константа: время работы одного запуска фонового обновления (в миллисекундах).
+ * Оставляет запас до лимита Apps Script в 6 минут на выполнение.
+ */
+const REFRESH_TIME_BUDGET_MS = 4.5 * 60 * 1000;
+
+/**
+ * Константа: через сколько запускать продолжение фонового обновления (в миллисекундах)
+ */
+const REFRESH_CONTINUE_DELAY_MS = 60 * 1000;
+
+/**
+ * Константа: час (по времени таблицы), в который выполняется ночное обновление
+ */
+const NIGHTLY_REFRESH_HOUR = 3;
+
+/**
+ * Ключ DocumentProperties, под которым хранится очередь фонового обновления
+ */
+const REFRESH_JOB_PROPERTY = 'MOEX_REFRESH_JOB';
+
+/**
+ * Константа: сколько раз повторять запрос к ISS при ответе 429 или 5xx
+ */
+const HTTP_MAX_RETRIES = 3;
+
+/**
+ * Константа: начальная пауза перед повтором запроса (в миллисекундах), удваивается с каждой попыткой
+ */
+const HTTP_BACKOFF_MS = 500;
+
+/**
+ * Константа: максимальное количество запросов к ISS за одно выполнение скрипта
+ */
+const HTTP_REQUEST_BUDGET = 200;
+
+/**
+ * Счетчик запросов к ISS в текущем выполнении (глобальная область инициализируется заново
+ * при каждом запуске скрипта)
+ */
+let issRequestCount = 0;
+
+/**
+ * Константа: количество миллисекунд в году (база Act/365) для дисконтирования потоков
+ */
+const MS_PER_YEAR = 365 * 24 * 60 * 60 * 1000;
+
+/**
+ * Константа: максимальное количество тикеров в одном пакетном запросе к ISS
+ */
+const BATCH_SIZE = 100;
+
+/**
+ * Константа: текст ошибки, когда бумага не найдена в ISS
+ */
+const TICKER_NOT_FOUND = 'Тикер не найден';
+
+/**
+ * Константа: версия формата кэша. Увеличивается при изменении логики расчета,
+ * чтобы не читать значения, сохраненные прошлой версией скрипта
+ */
+const CACHE_VERSION = 9;
+
+/**
+ * Константа: свойство документа с поколениями кэша (общее и по тикерам) для его очистки
+ */
+const CACHE_STATE_PROPERTY = 'MOEX_CACHE_STATE';
+
+/**
+ * Константа: максимальный срок хранения в CacheService (6 часов)
+ */
+const CACHE_MAX_TTL = 21600;
+
+/**
+ * Константа: срок хранения торговых данных во время торгов (5 минут)
+ */
+const CACHE_MARKET_TTL = 300;
+
+/**
+ * Константа: час начала основной торговой сессии MOEX по облигациям (по Москве)
+ */
+const MARKET_OPEN_HOUR = 10;
+
+/**
+ * Константа: час, к которому основная торговая сессия по облигациям гарантированно завершена
+ */
+const MARKET_CLOSE_HOUR = 19;
+
+/**
+ * Константа: индекс государственных облигаций, по истории которого определяются
+ * прошедшие торговые дни рынка облигаций MOEX
+ */
+const TRADING_CALENDAR_SECID = 'RGBI';
+
+/**
+ * Константа: праздники (ММ-ДД), в которые MOEX не торгует ежегодно. Переносы выходных
+ * и прочие нерабочие дни вносятся на лист HOLIDAYS_SHEET_NAME
+ */
+const MOEX_FIXED_HOLIDAYS = [
+  '01-01',
+  '01-02',
+  '01-07',
+  '02-23',
+  '03-08',
+  '05-01',
+  '05-09',
+  '06-12',
+  '11-04',
+];
+
+/**
+ * Константа: лист с неторговыми днями MOEX (дата и признак торгов: "Да" — рабочий выходной)
+ */
+const HOLIDAYS_SHEET_NAME = 'MOEX_Holidays';
+
+/**
+ * Константа: расчеты по сделкам с облигациями в основном режиме — T+1 (торговых дней)
+ */
+const SETTLEMENT_LAG_DAYS = 1;
+
+/**
+ * Константа: самый длинный перерыв в торгах MOEX (в календарных днях), после которого
+ * календарь считается неполным и торговые дни определяются по расписанию
+ */
+const TRADING_CALENDAR_MAX_GAP = 14;
+
+/**
+ * Торговые дни MOEX (или MoexError загрузки) по годам в текущем выполнении (см. isTradingDay)
+ */
+const tradingDaysByYear = {};
+
+/**
+ * Дни с листа MOEX_Holidays, прочитанные в текущем выполнении (см. loadHolidayOverrides)
+ */
+let holidayOverrides = null;
+
+/**
+ * Константа: размер части (в символах) при кэшировании больших значений.
+ * Лимит CacheService — 100 КБ на значение, символ в UTF-8 занимает до 3 байт
+ */
+const CACHE_CHUNK_CHARS = 30000;
+
+/**
+ * Константа: лист с параметрами флоатеров (тикер, базовая ставка, спред, прогноз ставки)
+ */
+const FLOATER_SHEET_NAME = 'MOEX_Floaters';
+
+/**
+ * Константа: лист с рядами базовых ставок (дата и колонка на каждую ставку, в % годовых)
+ */
+const RATES_SHEET_NAME = 'MOEX_Rates';
+
+/**
+ * Константа: название ставки "доходность G-кривой на n лет" (ZCYC_1, ZCYC_2.5…)
+ */
+const ZCYC_RATE_PATTERN = /^ZCYC_(\d+(?:[.,]\d+)?)$/;
+
+/**
+ * Константа: максимальный срок кривой бескупонной доходности ОФЗ (G-кривой), лет
+ */
+const GCURVE_MAX_TENOR = 30;
+
+/**
+ * Константа: лист сделок портфеля, который ведет пользователь
+ */
+const TRADES_SHEET_NAME = 'Сделки';
+
+/**
+ * Константа: лист отчета по портфелю (перезаписывается при каждом расчете)
+ */
+const PORTFOLIO_SHEET_NAME = 'Портфель';
+
+/**
+ * Константа: лист календаря выплат по позициям портфеля
+ */
+const INCOME_CALENDAR_SHEET_NAME = 'Календарь выплат';
+
+/**
+ * Константа: горизонт календаря выплат по умолчанию и максимальный, месяцев
+ */
+const INCOME_CALENDAR_MONTHS = 12;
+const INCOME_CALENDAR_MAX_MONTHS = 120;
+
+/**
+ * Константы НДФЛ: 13% с дохода до порога за год, 15% — с превышения
+ */
+const NDFL_RATE = 0.13;
+const NDFL_HIGH_RATE = 0.15;
+const NDFL_THRESHOLD = 2400000;
+
+/**
+ * Константа: лист с параметрами подбора облигаций
+ */
+const SCREENER_SHEET_NAME = 'MOEX_Screener';
+
+/**
+ * Константа: лист с результатами подбора облигаций (перезаписывается при каждом подборе)
+ */
+const SCREENER_RESULT_SHEET_NAME = 'Подбор облигаций';
+
+/**
+ * Константа: максимум облигаций на листе результатов подбора (с наибольшей доходностью)
+ */
+const SCREENER_MAX_RESULTS = 200;
+
+/**
+ * Режимы торгов, списки которых загружаются для подбора облигаций по умолчанию
+ */
+const SCREENER_DEFAULT_BOARDS = ['TQOB', 'TQCB', 'TQIR'];
+
+/**
+ * Параметры подбора на листе MOEX_Screener: ключ, название в колонке "Параметр", пояснение
+ */
+const SCREENER_PARAMS = [
+  ['yieldFrom', 'Доходность от, %', ''],
+  ['yieldTo', 'Доходность до, %', ''],
+  ['durationFrom', 'Дюрация от, дней', ''],
+  ['durationTo', 'Дюрация до, дней', ''],
+  ['maturityFrom', 'Погашение с', 'Дата'],
+  ['maturityTo', 'Погашение по', 'Дата'],
+  ['minValue', 'Мин. оборот за день, руб', 'Оборот текущей торговой сессии в рублях'],
+  [
+    'couponType',
+    'Тип купона',
+    'Фиксированный, Плавающий, Индексируемый или Не определен; пусто — любой',
+  ],
+  ['offer', 'Оферта', 'Да — только с офертой, Нет — только без оферты; пусто — любые'],
+  ['boards', 'Режимы торгов', `Через запятую; пусто — ${SCREENER_DEFAULT_BOARDS.join(', ')}`],
+];
+
+/**
+ * Константа: название скрытого листа журнала ошибок
+ */
+const LOG_SHEET_NAME = 'MOEX_Log';
+
+/**
+ * Константа: свойство документа, включающее журнал ошибок
+ */
+const LOG_ENABLED_PROPERTY = 'MOEX_LOG_ENABLED';
+
+/**
+ * Константа: ключ CacheService, в котором копятся записи журнала до выгрузки на лист
+ * (кастомные функции не могут записывать в таблицу)
+ */
+const LOG_BUFFER_KEY = 'MOEX_LOG_BUFFER';
+
+/**
+ * Константа: сколько записей журнала хранится в буфере до выгрузки
+ */
+const LOG_BUFFER_LIMIT = 200;
+
+/**
+ * Константа: сколько последних строк хранится на листе журнала
+ */
+const LOG_MAX_ROWS = 2000;
+
+/**
+ * Поля истории торгов по умолчанию для GET_MOEX_HISTORY:
+ * дата, цена закрытия, доходность, объем и НКД
+ */
+const DEFAULT_HISTORY_FIELDS = ['TRADEDATE', 'CLOSE', 'YIELDCLOSE', 'VOLUME', 'ACCINT'];
+
+/**
+ * Константа: максимальное количество страниц истории, загружаемых за один вызов
+ */
+const HISTORY_MAX_PAGES = 30;
+
+/**
+ * Режимы основных торгов облигациями в порядке предпочтения, если основной режим бумаги
+ * не указан в ответе ISS. Режимы переговорных сделок сюда не входят: котировки там бывают устаревшими.
+ */
+const BOARD_PRIORITY = ['TQOB', 'TQCB', 'TQIR', 'TQOD', 'TQOE', 'TQOY', 'TQRD', 'TQIY'];
+
+/**
+ * Инструменты валютного рынка MOEX (SELT, режим CETS, расчеты "завтра") для курса валюты к рублю
+ */
+const FX_INSTRUMENTS = {
+  USD: 'USD000UTSTOM',
+  EUR: 'EUR_RUB__TOM',
+  CNY: 'CNYRUB_TOM',
+  HKD: 'HKDRUB_TOM',
+  GBP: 'GBPRUB_TOM',
+  CHF: 'CHFRUB_TOM',
+};
+
+/**
+ * Статусы купонов: размер объявлен эмитентом или рассчитан прогнозно
+ */
+const COUPON_STATUS_LABELS = {
+  fixed: 'Зафиксирован',
+  estimated: 'Прогноз',
+  unknown: 'Нет ставки',
+};
+
+/**
+ * Названия типов купона для подбора облигаций (unknown — тип не удалось определить)
+ */
+const COUPON_TYPE_LABELS = {
+  fixed: 'Фиксированный',
+  floater: 'Плавающий',
+  linker: 'Индексируемый',
+  unknown: 'Не определен',
+};
+
+/**
+ * Виды облигаций по полю TYPE описания ISS
+ */
+const BOND_TYPE_LABELS = {
+  ofz_bond: 'ОФЗ',
+  cb_bond: 'Облигация Банка России',
+  subfederal_bond: 'Субфедеральная',
+  municipal_bond: 'Муниципальная',
+  corporate_bond: 'Корпоративная',
+  exchange_bond: 'Биржевая',
+  ifi_bond: 'Облигация МФО',
+  euro_bond: 'Еврооблигация',
+};
+
+/**
+ * Поля котировок и ликвидности (GET_MOEX_QUOTE) и их названия в таблице
+ */
+const QUOTE_FIELDS = [
+  ['BID', 'Спрос, %'],
+  ['OFFER', 'Предложение, %'],
+  ['SPREAD', 'Спред, п.п.'],
+  ['SPREADBP', 'Спред к середине, б.п.'],
+  ['VALTODAY', 'Оборот за день'],
+  ['NUMTRADES', 'Сделок за день'],
+  ['YIELD', 'Доходность, %'],
+  ['YIELDATWAPRICE', 'Доходность по средневзвешенной цене, %'],
+  ['WAPRICE', 'Средневзвешенная цена, %'],
+  ['UPDATETIME', 'Время обновления'],
+  ['LIQUIDITY', 'Оценка ликвидности (0–100)'],
+];
+
+/**
+ * Константа: шкалы оценки ликвидности [худшее, лучшее значение] и веса составляющих.
+ * Оборот (в рублях) и число сделок оцениваются по логарифмической шкале, спред к середине
+ * (в б.п.) — по обратной: не больше 10 б.п. — полный балл, 200 б.п. и шире — ноль
+ */
+const LIQUIDITY_SCALES = {
+  valtoday: { range: [1e5, 1e8], weight: 0.4 },
+  numtrades: { range: [1, 500], weight: 0.3 },
+  spread: { range: [200, 10], weight: 0.3 },
+};
+
+/**
+ * Поля справочных данных облигации (GET_BOND_INFO) и их названия в таблице
+ */
+const BOND_INFO_FIELDS = [
+  ['ISSUER', 'Эмитент'],
+  ['INN', 'ИНН эмитента'],
+  ['ISSUESIZE', 'Объем выпуска, шт.'],
+  ['COUPONFREQUENCY', 'Купонов в год'],
+  ['LISTLEVEL', 'Уровень листинга'],
+  ['BONDTYPE', 'Вид облигации'],
+  ['QUALIFIED', 'Только для квалифицированных инвесторов'],
+  ['SUBORDINATED', 'Субординированная'],
+  ['PERPETUAL', 'Бессрочная'],
+];
+
+/**
+ * Названия видов оферт: put — право инвестора предъявить бумаги к выкупу,
+ * call — право эмитента досрочно погасить выпуск
+ */
+const OFFER_TYPE_LABELS = {
+  put: 'Пут',
+  call: 'Колл',
+};
+
+/**
+ * Названия типов событий графика платежей для вывода в таблицу
+ */
+const EVENT_TYPE_LABELS = {
+  coupon: 'Купон',
+  amortization: 'Амортизация',
+  offer: 'Оферта',
+  maturity: 'Погашение',
+};
+
 /**
  * Список всех кастомных функций для обновления
  * При добавлении новой функции просто добавьте её название в этот массив
@@ -14,6 +399,31 @@ const CUSTOM_FUNCTIONS = [
   'GET_COUPON_VALUE',
   'GET_MATURITY_DATE',
   'GET_NEAREST_OPTION_DATE',
+  'GET_BOND_YTM',
+  'GET_ACCRUED_INTEREST',
+  'GET_DIRTY_PRICE',
+  'GET_BOND_DURATION',
+  'GET_BOND_CONVEXITY',
+  'GET_BOND_CASHFLOWS',
+  'GET_MOEX_BOND',
+  'GET_MOEX_PRICES',
+  'GET_MOEX_TABLE',
+  'GET_MOEX_PRICE_ON',
+  'GET_MOEX_HISTORY',
+  'GET_PROJECTED_COUPON',
+  'GET_NEXT_OFFER',
+  'GET_FACE_VALUE',
+  'GET_POSITION_VALUE',
+  'GET_INDEXED_NOMINAL',
+  'GET_MOEX_FX',
+  'GET_BOND_CURRENCY',
+  'GET_GCURVE_YIELD',
+  'GET_G_SPREAD',
+  'GET_INCOME_CALENDAR',
+  'GET_SETTLEMENT_DATE',
+  'GET_RECORD_DATE',
+  'GET_BOND_INFO',
+  'GET_MOEX_QUOTE',
 ];
 
 /**
@@ -22,46 +432,177 @@ const CUSTOM_FUNCTIONS = [
 function onOpen() {
   SpreadsheetApp.getUi()
     .createMenu('MOEX')
-    .addItem('Обновить все данные (с задержкой)', 'forceRecalculatePrices')
+    .addItem('Обновить все данные', 'forceRecalculatePrices')
+    .addItem('Обновить выделенный диапазон', 'refreshSelectedRange')
+    .addItem('Остановить обновление', 'cancelRefreshJob')
+    .addSeparator()
+    .addItem('Включить ночное обновление', 'enableNightlyRefresh')
+    .addItem('Отключить ночное обновление', 'disableNightlyRefresh')
+    .addSeparator()
+    .addItem('Показать журнал ошибок', 'showMoexLog')
+    .addItem('Включить журнал ошибок', 'enableMoexLog')
+    .addItem('Отключить журнал ошибок', 'disableMoexLog')
+    .addSeparator()
+    .addItem('Очистить кэш выделенных тикеров', 'clearSelectedTickersCache')
+    .addItem('Очистить весь кэш MOEX', 'clearAllMoexCache')
+    .addSeparator()
+    .addItem('Создать листы флоатеров и ставок', 'setupFloaterSheets')
+    .addItem('Подбор облигаций', 'runBondScreener')
+    .addItem('Рассчитать портфель', 'runPortfolioReport')
+    .addItem('Календарь выплат', 'runIncomeCalendar')
     .addToUi();
 }
 
 /**
  * Кастомная функция для ячейки. Возвращает цену облигации по тикеру.
  * @param {string} ticker Торговый код облигации (например, "ОФЗ 26227").
- * @return {number | string} Последняя цена сделки или текстовое описание ошибки.
+ * @param {string} [board] Режим торгов (например, "TQOB"). По умолчанию — основной режим бумаги.
+ * @return {number} Последняя цена сделки.
  * @customfunction
  */
-function GET_MOEX_PRICE(ticker) {
-  if (!ticker || ticker.trim() === '') {
-    return null;
+function GET_MOEX_PRICE(ticker, board) {
+  return runCustomFunction(ticker, () => {
+    if (!ticker || ticker.trim() === '') {
+      return null;
+    }
+
+    return fetchSinglePriceInternal(ticker, normalizeBoard(board));
+  });
+}
+
+/**
+ * Запускает фоновое обновление всех ячеек с кастомными функциями на всех листах.
+ */
+function forceRecalculatePrices() {
+  const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+  startRefreshJob(
+    spreadsheet.getSheets().map((sheet) => ({ sheet: sheet.getName(), range: null }))
+  );
+}
+
+/**
+ * Запускает фоновое обновление ячеек с кастомными функциями в выделенном диапазоне.
+ */
+function refreshSelectedRange() {
+  const range = SpreadsheetApp.getActiveRange();
+  if (!range) {
+    SpreadsheetApp.getActiveSpreadsheet().toast('Выделите диапазон для обновления', 'MOEX', 5);
+    return;
   }
+  startRefreshJob([{ sheet: range.getSheet().getName(), range: range.getA1Notation() }]);
+}
 
-  const cache = CacheService.getScriptCache();
-  const cached = cache.get(ticker);
-  if (cached !== null) {
-    return JSON.parse(cached);
+/**
+ * Ставит в очередь обновление указанных листов/диапазонов и сразу начинает его выполнять.
+ * Очередь хранится в DocumentProperties, поэтому обновление продолжается в следующих
+ * запусках, если не успевает завершиться за один.
+ * @param {Array<{sheet: string, range: string | null}>} targets - Листы и диапазоны (null — весь лист).
+ */
+function startRefreshJob(targets) {
+  const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+  const total = targets.reduce(
+    (sum, target) => sum + findCustomFunctionCells(spreadsheet, target).length,
+    0
+  );
+
+  if (total === 0) {
+    spreadsheet.toast(`Не найдено ячеек с функциями: ${CUSTOM_FUNCTIONS.join(', ')}`, 'MOEX', 10);
+    return;
+  }
+
+  saveRefreshJob({ targets, targetIndex: 0, cellIndex: 0, processed: 0, total });
+  spreadsheet.toast(`Найдено ${total} ячеек. Начинаю обновление...`, 'MOEX', 5);
+  processRefreshJob();
+}
+
+/**
+ * Выполняет очередной шаг фонового обновления: пересчитывает ячейки порциями,
+ * пока не истечет REFRESH_TIME_BUDGET_MS, затем сохраняет позицию и планирует продолжение.
+ * Вызывается из меню и из триггера по времени.
+ */
+function processRefreshJob() {
+  const lock = LockService.getDocumentLock();
+  if (!lock.tryLock(1000)) {
+    return; // Другой запуск уже обрабатывает очередь
   }
 
-  const result = fetchSinglePriceInternal(ticker);
+  try {
+    deleteTriggersByHandler('processRefreshJob');
+    const job = loadRefreshJob();
+    if (!job) {
+      return;
+    }
+
+    const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+    const startedAt = Date.now();
 
-  cache.put(ticker, JSON.stringify(result), 300); // Кэшируем результат на 5 минут
+    while (job.targetIndex < job.targets.length) {
+      const cells = findCustomFunctionCells(spreadsheet, job.targets[job.targetIndex]);
 
-  return result;
+      while (job.cellIndex < cells.length) {
+        if (Date.now() - startedAt > REFRESH_TIME_BUDGET_MS) {
+          saveRefreshJob(job);
+          flushMoexLog(spreadsheet);
+          ScriptApp.newTrigger('processRefreshJob')
+            .timeBased()
+            .after(REFRESH_CONTINUE_DELAY_MS)
+            .create();
+          spreadsheet.toast(
+            `Обновлено ${job.processed} из ${job.total} ячеек. Продолжу через минуту...`,
+            'MOEX',
+            10
+          );
+          return;
+        }
+
+        const chunk = cells.slice(job.cellIndex, job.cellIndex + REFRESH_CHUNK_SIZE);
+        recalculateCells(chunk);
+        job.cellIndex += chunk.length;
+        job.processed += chunk.length;
+        spreadsheet.toast(`Обновлено ${job.processed} из ${job.total} ячеек...`, 'MOEX', 5);
+      }
+
+      job.targetIndex++;
+      job.cellIndex = 0;
+    }
+
+    clearRefreshJob();
+    flushMoexLog(spreadsheet);
+    spreadsheet.toast('Обновление данных завершено!', 'Готово', 5);
+  } finally {
+    lock.releaseLock();
+  }
 }
 
 /**
- * Универсальный обработчик: находит все ячейки со всеми кастомными функциями и обновляет их по очереди.
+ * Пересчитывает ячейки: очищает их и заново записывает формулы.
+ * @param {GoogleAppsScript.Spreadsheet.Range[]} cells - Ячейки с кастомными функциями.
  */
-function forceRecalculatePrices() {
-  const sheet = SpreadsheetApp.getActiveSheet();
-  const ui = SpreadsheetApp.getUi();
+function recalculateCells(cells) {
+  const formulas = cells.map((cell) => cell.getFormula());
+  cells.forEach((cell) => cell.clearContent());
+  SpreadsheetApp.flush();
+  cells.forEach((cell, i) => cell.setFormula(formulas[i]));
+  SpreadsheetApp.flush();
+  Utilities.sleep(DELAY_MS);
+}
 
-  const dataRange = sheet.getDataRange();
-  const allFormulas = dataRange.getFormulas();
+/**
+ * Находит все ячейки, содержащие любую из кастомных функций, на листе или в диапазоне.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} spreadsheet - Таблица.
+ * @param {{sheet: string, range: string | null}} target - Лист и диапазон (null — весь лист).
+ * @return {GoogleAppsScript.Spreadsheet.Range[]} - Ячейки в порядке строк.
+ */
+function findCustomFunctionCells(spreadsheet, target) {
+  const sheet = spreadsheet.getSheetByName(target.sheet);
+  if (!sheet) {
+    return []; // Лист удален или переименован после постановки в очередь
+  }
+
+  const range = target.range ? sheet.getRange(target.range) : sheet.getDataRange();
+  const allFormulas = range.getFormulas();
   const targetCells = [];
 
-  // Ищем все ячейки, содержащие любую из кастомных функций
   for (let i = 0; i < allFormulas.length; i++) {
     for (let j = 0; j < allFormulas[i].length; j++) {
       if (allFormulas[i][j]) {
@@ -69,627 +610,4708 @@ function forceRecalculatePrices() {
         // Проверяем, содержится ли хотя бы одна из функций
         const hasCustomFunction = CUSTOM_FUNCTIONS.some((fn) => formulaUpper.includes(fn));
         if (hasCustomFunction) {
-          targetCells.push(sheet.getRange(i + 1, j + 1));
+          targetCells.push(sheet.getRange(range.getRow() + i, range.getColumn() + j));
         }
       }
     }
   }
 
-  if (targetCells.length === 0) {
-    ui.alert(`На листе не найдено ячеек с функциями: ${CUSTOM_FUNCTIONS.join(', ')}`);
-    return;
+  return targetCells;
+}
+
+/**
+ * Останавливает фоновое обновление и удаляет запланированное продолжение.
+ */
+function cancelRefreshJob() {
+  deleteTriggersByHandler('processRefreshJob');
+  clearRefreshJob();
+  SpreadsheetApp.getActiveSpreadsheet().toast('Обновление остановлено', 'MOEX', 5);
+}
+
+/**
+ * Включает ежедневное обновление всех листов в NIGHTLY_REFRESH_HOUR часов.
+ */
+function enableNightlyRefresh() {
+  deleteTriggersByHandler('runNightlyRefresh');
+  ScriptApp.newTrigger('runNightlyRefresh')
+    .timeBased()
+    .everyDays(1)
+    .atHour(NIGHTLY_REFRESH_HOUR)
+    .create();
+  SpreadsheetApp.getActiveSpreadsheet().toast(
+    `Ночное обновление включено (ежедневно около ${NIGHTLY_REFRESH_HOUR}:00)`,
+    'MOEX',
+    5
+  );
+}
+
+/**
+ * Отключает ежедневное обновление.
+ */
+function disableNightlyRefresh() {
+  deleteTriggersByHandler('runNightlyRefresh');
+  SpreadsheetApp.getActiveSpreadsheet().toast('Ночное обновление отключено', 'MOEX', 5);
+}
+
+/**
+ * Обработчик триггера ночного обновления.
+ */
+function runNightlyRefresh() {
+  forceRecalculatePrices();
+}
+
+/**
+ * Удаляет триггеры проекта с указанным обработчиком.
+ * @param {string} handler - Имя функции-обработчика.
+ */
+function deleteTriggersByHandler(handler) {
+  ScriptApp.getProjectTriggers()
+    .filter((trigger) => trigger.getHandlerFunction() === handler)
+    .forEach((trigger) => ScriptApp.deleteTrigger(trigger));
+}
+
+/**
+ * Читает очередь фонового обновления из DocumentProperties.
+ * @return {Object | null} - Состояние задания или null, если обновление не запущено.
+ */
+function loadRefreshJob() {
+  const value = PropertiesService.getDocumentProperties().getProperty(REFRESH_JOB_PROPERTY);
+  return value ? JSON.parse(value) : null;
+}
+
+/**
+ * Сохраняет очередь фонового обновления в DocumentProperties.
+ * @param {Object} job - Состояние задания.
+ */
+function saveRefreshJob(job) {
+  PropertiesService.getDocumentProperties().setProperty(REFRESH_JOB_PROPERTY, JSON.stringify(job));
+}
+
+/**
+ * Удаляет очередь фонового обновления.
+ */
+function clearRefreshJob() {
+  PropertiesService.getDocumentProperties().deleteProperty(REFRESH_JOB_PROPERTY);
+}
+
+/**
+ * Ошибка получения или расчета данных. Внутренние функции возвращают ее вместо значения,
+ * кастомные функции выбрасывают (см. runCustomFunction), поэтому ячейка показывает #ERROR!,
+ * а ЕОШИБКА/ISERROR и ЕСЛИОШИБКА/IFERROR ее распознают.
+ * Текст ошибки начинается с кода в квадратных скобках, например "[NOT_FOUND] Тикер не найден".
+ * Коды: NOT_FOUND — бумага не найдена; BAD_ARG — некорректный аргумент; NO_DATA — в ISS нет
+ * нужных данных; CALC — расчет не сошелся; HTTP — ошибка ответа ISS; NETWORK — ошибка сети;
+ * PARSE — некорректный ответ ISS; LIMIT — превышен лимит запросов; INTERNAL — ошибка скрипта.
+ */
+class MoexError extends Error {
+  /**
+   * @param {string} code - Код ошибки.
+   * @param {string} message - Описание ошибки для пользователя.
+   * @param {{url: string, httpCode: number, cause: string}} [details] - Подробности для журнала.
+   */
+  constructor(code, message, details) {
+    super(`[${code}] ${message}`);
+    this.name = 'MoexError';
+    this.code = code;
+    this.details = details || {};
+  }
+}
+
+/**
+ * Выполняет тело кастомной функции: возвращенная MoexError или любое исключение
+ * записываются в журнал и выбрасываются, чтобы ячейка показала ошибку.
+ * @param {string | null} ticker - Тикер для журнала.
+ * @param {Function} fn - Тело функции; возвращает значение или MoexError.
+ * @return {*} - Значение для ячейки.
+ */
+function runCustomFunction(ticker, fn) {
+  let result;
+  try {
+    result = fn();
+  } catch (e) {
+    result =
+      e instanceof MoexError ? e : new MoexError('INTERNAL', 'Ошибка скрипта', { cause: e.stack });
+  }
+
+  if (result instanceof MoexError) {
+    logMoexError(result, ticker);
+    throw result;
+  }
+  return result;
+}
+
+/**
+ * Приводит значение для ячейки диапазона: функция-массив не может вернуть ошибку
+ * в отдельной ячейке, поэтому MoexError записывается в журнал и выводится текстом с кодом.
+ * @param {*} value - Значение или MoexError.
+ * @param {string} ticker - Тикер для журнала.
+ * @return {*} - Значение или текст ошибки.
+ */
+function toCellValue(value, ticker) {
+  if (value instanceof MoexError) {
+    logMoexError(value, ticker);
+    return value.message;
+  }
+  return value;
+}
+
+/**
+ * Добавляет ошибку в буфер журнала, если журнал включен.
+ * Буфер хранится в CacheService и выгружается на лист функцией flushMoexLog.
+ * @param {MoexError} error - Ошибка.
+ * @param {string | null} ticker - Тикер, по которому возникла ошибка.
+ */
+function logMoexError(error, ticker) {
+  try {
+    if (PropertiesService.getDocumentProperties().getProperty(LOG_ENABLED_PROPERTY) !== 'true') {
+      return;
+    }
+
+    const lock = LockService.getScriptLock();
+    if (!lock.tryLock(500)) {
+      return; // Журнал не должен задерживать расчет ячеек
+    }
+    try {
+      const cache = CacheService.getScriptCache();
+      const buffer = JSON.parse(cache.get(LOG_BUFFER_KEY) || '[]');
+      buffer.push([
+        new Date().toISOString(),
+        error.code,
+        ticker || '',
+        error.details.url || '',
+        error.details.httpCode || '',
+        error.details.cause ? `${error.message}: ${error.details.cause}` : error.message,
+      ]);
+      cache.put(LOG_BUFFER_KEY, JSON.stringify(buffer.slice(-LOG_BUFFER_LIMIT)), 21600);
+    } finally {
+      lock.releaseLock();
+    }
+  } catch (e) {
+    console.error('Не удалось записать ошибку в журнал: ' + e.message);
+  }
+}
+
+/**
+ * Переносит накопленные записи журнала на скрытый лист MOEX_Log.
+ * Вызывается из меню и фонового обновления, где доступна запись в таблицу.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} spreadsheet - Таблица.
+ * @return {GoogleAppsScript.Spreadsheet.Sheet | null} - Лист журнала или null, если его нет.
+ */
+function flushMoexLog(spreadsheet) {
+  const lock = LockService.getScriptLock();
+  lock.waitLock(5000);
+  let rows;
+  try {
+    const cache = CacheService.getScriptCache();
+    rows = JSON.parse(cache.get(LOG_BUFFER_KEY) || '[]');
+    cache.remove(LOG_BUFFER_KEY);
+  } finally {
+    lock.releaseLock();
+  }
+
+  let sheet = spreadsheet.getSheetByName(LOG_SHEET_NAME);
+  if (rows.length === 0) {
+    return sheet;
+  }
+
+  if (!sheet) {
+    sheet = spreadsheet.insertSheet(LOG_SHEET_NAME);
+    sheet
+      .getRange(1, 1, 1, 6)
+      .setValues([['Время', 'Код', 'Тикер', 'Запрос', 'HTTP', 'Сообщение']]);
+    sheet.setFrozenRows(1);
+    sheet.hideSheet();
+  }
+
+  sheet
+    .getRange(sheet.getLastRow() + 1, 1, rows.length, 6)
+    .setValues(rows.map((r) => [new Date(r[0])].concat(r.slice(1))));
+
+  const excess = sheet.getLastRow() - 1 - LOG_MAX_ROWS;
+  if (excess > 0) {
+    sheet.deleteRows(2, excess);
+  }
+  return sheet;
+}
+
+/**
+ * Включает запись ошибок кастомных функций в журнал.
+ */
+function enableMoexLog() {
+  PropertiesService.getDocumentProperties().setProperty(LOG_ENABLED_PROPERTY, 'true');
+  SpreadsheetApp.getActiveSpreadsheet().toast(
+    `Журнал ошибок включен. Записи появятся на скрытом листе ${LOG_SHEET_NAME} после обновления`,
+    'MOEX',
+    5
+  );
+}
+
+/**
+ * Отключает запись ошибок в журнал. Уже записанные строки остаются на листе.
+ */
+function disableMoexLog() {
+  PropertiesService.getDocumentProperties().deleteProperty(LOG_ENABLED_PROPERTY);
+  SpreadsheetApp.getActiveSpreadsheet().toast('Журнал ошибок отключен', 'MOEX', 5);
+}
+
+/**
+ * Выгружает накопленные ошибки и открывает лист журнала.
+ */
+function showMoexLog() {
+  const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+  const sheet = flushMoexLog(spreadsheet);
+  if (!sheet) {
+    spreadsheet.toast('Журнал ошибок пуст', 'MOEX', 5);
+    return;
+  }
+  sheet.showSheet();
+  spreadsheet.setActiveSheet(sheet);
+}
+
+/**
+ * Поколения кэша, прочитанные в текущем выполнении (см. loadCacheState)
+ */
+let cacheState = null;
+
+/**
+ * Возвращает поколения кэша: общее и отдельные для тикеров, кэш которых очищали.
+ * Очистка не удаляет значения из CacheService (он не умеет перечислять ключи),
+ * а меняет поколение, входящее в ключ, и старые значения просто перестают читаться.
+ * @return {{generation: number, tickers: Object<string, number>}}
+ */
+function loadCacheState() {
+  if (cacheState === null) {
+    const saved = PropertiesService.getDocumentProperties().getProperty(CACHE_STATE_PROPERTY);
+    cacheState = saved ? JSON.parse(saved) : { generation: 0, tickers: {} };
+  }
+  return cacheState;
+}
+
+/**
+ * Сохраняет поколения кэша в свойства документа.
+ * @param {{generation: number, tickers: Object<string, number>}} state - Поколения кэша.
+ */
+function saveCacheState(state) {
+  cacheState = state;
+  PropertiesService.getDocumentProperties().setProperty(
+    CACHE_STATE_PROPERTY,
+    JSON.stringify(state)
+  );
+}
+
+/**
+ * Приводит тикер к виду, используемому в ключах кэша и листах настроек.
+ * @param {string} ticker - Тикер из ячейки.
+ * @return {string} - Тикер без пробелов по краям в верхнем регистре.
+ */
+function normalizeTicker(ticker) {
+  return String(ticker).trim().toUpperCase();
+}
+
+/**
+ * Строит ключ кэша: версия формата, поколения кэша, вид данных, тикер и параметры.
+ * @param {string} kind - Вид данных (например, 'snapshot', 'ytm').
+ * @param {string} ticker - Тикер или строка поиска.
+ * @param {...*} parts - Параметры, от которых зависит значение.
+ * @return {string} - Ключ CacheService.
+ */
+function buildCacheKey(kind, ticker, ...parts) {
+  const state = loadCacheState();
+  const normalized = normalizeTicker(ticker);
+  return [
+    'moex',
+    CACHE_VERSION,
+    state.generation,
+    state.tickers[normalized] || 0,
+    kind,
+    normalized,
+    ...parts.filter((p) => p !== null && typeof p !== 'undefined' && p !== ''),
+  ].join('_');
+}
+
+/**
+ * Читает значение из кэша.
+ * @param {string} key - Ключ из buildCacheKey.
+ * @return {*} - Значение или null, если его нет.
+ */
+function cacheGet(key) {
+  return cacheGetAll([key])[key];
+}
+
+/**
+ * Читает несколько значений из кэша одним запросом.
+ * Значения, сохраненные частями (см. cachePutAll), собираются обратно.
+ * @param {string[]} keys - Ключи из buildCacheKey.
+ * @return {Object<string, *>} - Значение или null для каждого ключа.
+ */
+function cacheGetAll(keys) {
+  const cache = CacheService.getScriptCache();
+  const stored = cache.getAll(keys);
+  const result = {};
+  keys.forEach((key) => {
+    const value = stored[key];
+    if (typeof value !== 'string') {
+      result[key] = null;
+      return;
+    }
+
+    const chunkCount = value.match(/^__chunks:(\d+)$/);
+    if (!chunkCount) {
+      result[key] = JSON.parse(value);
+      return;
+    }
+
+    const chunkKeys = Array.from({ length: Number(chunkCount[1]) }, (_, i) => `${key}_${i}`);
+    const chunks = cache.getAll(chunkKeys);
+    // Если CacheService вытеснил хотя бы одну часть, значение считается отсутствующим
+    result[key] = chunkKeys.every((k) => typeof chunks[k] === 'string')
+      ? JSON.parse(chunkKeys.map((k) => chunks[k]).join(''))
+      : null;
+  });
+  return result;
+}
+
+/**
+ * Сохраняет значение в кэш.
+ * @param {string} key - Ключ из buildCacheKey.
+ * @param {*} value - Значение (сериализуется в JSON).
+ * @param {number} ttl - Срок хранения в секундах (см. getCacheTtl).
+ */
+function cachePut(key, value, ttl) {
+  cachePutAll({ [key]: value }, ttl);
+}
+
+/**
+ * Сохраняет несколько значений в кэш одним запросом. Значения длиннее CACHE_CHUNK_CHARS
+ * (например, полный график bondization) делятся на части: под основным ключом
+ * хранится метка "__chunks:N", части — под ключами key_0 … key_N-1.
+ * @param {Object<string, *>} values - Значения по ключам.
+ * @param {number} ttl - Срок хранения в секундах.
+ */
+function cachePutAll(values, ttl) {
+  const toCache = {};
+  Object.keys(values).forEach((key) => {
+    const json = JSON.stringify(values[key]);
+    if (json.length <= CACHE_CHUNK_CHARS) {
+      toCache[key] = json;
+      return;
+    }
+
+    const chunkCount = Math.ceil(json.length / CACHE_CHUNK_CHARS);
+    for (let i = 0; i < chunkCount; i++) {
+      toCache[`${key}_${i}`] = json.slice(i * CACHE_CHUNK_CHARS, (i + 1) * CACHE_CHUNK_CHARS);
+    }
+    toCache[key] = `__chunks:${chunkCount}`;
+  });
+
+  if (Object.keys(toCache).length > 0) {
+    CacheService.getScriptCache().putAll(toCache, Math.min(ttl, CACHE_MAX_TTL));
+  }
+}
+
+/**
+ * Возвращает срок хранения в кэше для вида данных.
+ * - 'market': торговые данные — 5 минут во время торгов, а вне торгов и в выходные —
+ *   до открытия следующей сессии (не больше 6 часов);
+ * - 'daily': данные, зависящие от текущей даты (НКД, график от сегодня), — до полуночи;
+ * - 'static': справочные данные (поиск, купоны, bondization) — 6 часов.
+ * @param {string} policy - 'market', 'daily' или 'static'.
+ * @return {number} - Срок хранения в секундах.
+ */
+function getCacheTtl(policy) {
+  const now = new Date();
+  if (policy === 'static') {
+    return CACHE_MAX_TTL;
+  }
+
+  const until = new Date(now.getTime());
+  if (policy === 'daily') {
+    until.setHours(24, 0, 0, 0);
+  } else {
+    const hour = now.getHours();
+    if (isWeekday(now) && hour >= MARKET_OPEN_HOUR && hour < MARKET_CLOSE_HOUR) {
+      return CACHE_MARKET_TTL;
+    }
+
+    if (!isWeekday(now) || hour >= MARKET_CLOSE_HOUR) {
+      until.setDate(until.getDate() + 1);
+    }
+    while (!isWeekday(until)) {
+      until.setDate(until.getDate() + 1);
+    }
+    until.setHours(MARKET_OPEN_HOUR, 0, 0, 0);
+  }
+
+  const seconds = Math.floor((until - now) / 1000);
+  return Math.max(CACHE_MARKET_TTL, Math.min(seconds, CACHE_MAX_TTL));
+}
+
+/**
+ * Очищает кэш тикеров из выделенного диапазона: следующий пересчет загрузит их данные заново.
+ */
+function clearSelectedTickersCache() {
+  const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+  const range = SpreadsheetApp.getActiveRange();
+  const tickers = range
+    ? [
+        ...new Set(
+          normalizeTickerRange(range.getDisplayValues())
+            .flat()
+            .filter((t) => t !== '')
+            .map(normalizeTicker)
+        ),
+      ]
+    : [];
+  if (tickers.length === 0) {
+    spreadsheet.toast('Выделите ячейки с тикерами', 'MOEX', 5);
+    return;
+  }
+
+  const state = loadCacheState();
+  tickers.forEach((t) => {
+    state.tickers[t] = (state.tickers[t] || 0) + 1;
+  });
+  // Свойство документа ограничено 9 КБ: при переполнении очищаем весь кэш
+  if (JSON.stringify(state).length > 8000) {
+    state.generation++;
+    state.tickers = {};
+  }
+  saveCacheState(state);
+
+  spreadsheet.toast(
+    `Кэш очищен для ${tickers.length} тикеров. Запустите "Обновить все данные" для загрузки свежих данных`,
+    'MOEX',
+    10
+  );
+}
+
+/**
+ * Очищает весь кэш данных MOEX.
+ */
+function clearAllMoexCache() {
+  const state = loadCacheState();
+  saveCacheState({ generation: state.generation + 1, tickers: {} });
+  SpreadsheetApp.getActiveSpreadsheet().toast(
+    'Кэш MOEX очищен. Запустите "Обновить все данные" для загрузки свежих данных',
+    'MOEX',
+    10
+  );
+}
+
+/**
+ * Возвращает снимок облигации: строки блоков securities и marketdata, объединенные
+ * в объекты { колонка: значение }. Один запрос к ISS на тикер, результат кэшируется.
+ * @param {string} ticker - Торговый код бумаги.
+ * @param {string} [board] - Режим торгов; по умолчанию выбирается основной (см. selectBoardRow).
+ * @return {{securities: Object, marketdata: Object} | MoexError} - Снимок или MoexError.
+ */
+function fetchBondSnapshot(ticker, board) {
+  return fetchBondSnapshots([ticker], board)[ticker];
+}
+
+/**
+ * Возвращает снимки сразу нескольких облигаций. Тикеры, которых нет в кэше,
+ * запрашиваются списком (параметр ISS securities=) пачками по BATCH_SIZE.
+ * Наименования, ISIN и регистрационные номера сначала переводятся в SECID (см. resolveTicker).
+ * @param {string[]} tickers - Торговые коды, ISIN, рег. номера или наименования бумаг.
+ * @param {string} [board] - Режим торгов; по умолчанию для каждой бумаги выбирается основной.
+ * @return {Object<string, Object | MoexError>} - Снимок или MoexError для каждого тикера.
+ */
+function fetchBondSnapshots(tickers, board) {
+  const uniqueTickers = [...new Set(tickers)];
+  const cacheKey = (t) => buildCacheKey('snapshot', t, board);
+  const cached = cacheGetAll(uniqueTickers.map(cacheKey));
+
+  const result = {};
+  const missing = [];
+  uniqueTickers.forEach((t) => {
+    const value = cached[cacheKey(t)];
+    if (value !== null) {
+      result[t] = value;
+    } else {
+      missing.push(t);
+    }
+  });
+
+  const toCache = {};
+  const store = (t, snapshot) => {
+    result[t] = snapshot;
+    if (!(snapshot instanceof MoexError)) {
+      toCache[cacheKey(t)] = snapshot;
+    }
+  };
+
+  // 1. Похожие на код бумаги тикеры запрашиваем напрямую, остальные — через поиск
+  const direct = missing.filter(isSecurityCode);
+  const toResolve = missing.filter((t) => !isSecurityCode(t));
+  const fetchedDirect = fetchBondSnapshotsInternal(direct, board);
+  direct.forEach((t) => {
+    if (fetchedDirect[t] instanceof MoexError && fetchedDirect[t].code === 'NOT_FOUND') {
+      toResolve.push(t);
+    } else {
+      store(t, fetchedDirect[t]);
+    }
+  });
+
+  // 2. Найденные поиском SECID запрашиваем с учетом основного режима торгов бумаги
+  const resolvedTickers = resolveTickers(toResolve);
+  const tickersBySecid = {};
+  const primaryBoards = {};
+  toResolve.forEach((t) => {
+    const resolved = resolvedTickers[t];
+    if (resolved instanceof MoexError) {
+      store(t, resolved);
+      return;
+    }
+    tickersBySecid[resolved.secid] = (tickersBySecid[resolved.secid] || []).concat(t);
+    primaryBoards[resolved.secid] = resolved.board;
+  });
+
+  const fetchedResolved = fetchBondSnapshotsInternal(
+    Object.keys(tickersBySecid),
+    board,
+    primaryBoards
+  );
+  Object.keys(tickersBySecid).forEach((secid) =>
+    tickersBySecid[secid].forEach((t) => store(t, fetchedResolved[secid]))
+  );
+
+  // Кэшируем только успешные снимки: 5 минут во время торгов, т.к. в них есть текущая цена
+  cachePutAll(toCache, getCacheTtl('market'));
+
+  return result;
+}
+
+/**
+ * Внутренняя функция для загрузки снимков облигаций из ISS.
+ * Тикеры делятся на пачки по BATCH_SIZE, пачки запрашиваются параллельно.
+ * @param {string[]} tickers - Торговые коды бумаг.
+ * @param {string} [board] - Режим торгов; по умолчанию выбирается основной.
+ * @param {Object<string, string>} [primaryBoards] - Основные режимы бумаг { SECID: BOARDID } из поиска.
+ * @return {Object<string, Object | MoexError>} - Снимок или MoexError для каждого тикера.
+ */
+function fetchBondSnapshotsInternal(tickers, board, primaryBoards) {
+  const chunks = [];
+  for (let i = 0; i < tickers.length; i += BATCH_SIZE) {
+    chunks.push(tickers.slice(i, i + BATCH_SIZE));
+  }
+
+  const responses = fetchIssJsonAll(
+    chunks.map(
+      (chunk) =>
+        `https://iss.moex.com/iss/engines/stock/markets/bonds/securities.json?iss.meta=off&iss.only=securities,marketdata&securities=${encodeURIComponent(
+          chunk.join(',')
+        )}`
+    )
+  );
+
+  const result = {};
+  chunks.forEach((chunk, i) => {
+    const data = responses[i];
+    if (data instanceof MoexError) {
+      chunk.forEach((t) => {
+        result[t] = data;
+      });
+      return;
+    }
+
+    const securities = issBlockToObjects(data.securities);
+    const marketdata = issBlockToObjects(data.marketdata);
+
+    chunk.forEach((t) => {
+      const secid = t.toUpperCase();
+      const rows = securities.filter((r) => String(r.SECID).toUpperCase() === secid);
+      if (rows.length === 0) {
+        result[t] = new MoexError('NOT_FOUND', TICKER_NOT_FOUND);
+        return;
+      }
+      const securitiesRow = selectBoardRow(rows, board, primaryBoards && primaryBoards[t]);
+      if (!securitiesRow) {
+        result[t] = new MoexError('BAD_ARG', `Режим торгов ${board} не найден`);
+        return;
+      }
+      const marketdataRow = marketdata.find(
+        (r) => String(r.SECID).toUpperCase() === secid && r.BOARDID === securitiesRow.BOARDID
+      );
+      result[t] = { securities: securitiesRow, marketdata: marketdataRow || {} };
+    });
+  });
+  return result;
+}
+
+/**
+ * Выбирает строку ISS нужного режима торгов.
+ * Порядок: явно заданный режим; основной режим бумаги (из поиска или PRIMARY_BOARDID);
+ * режимы из BOARD_PRIORITY; любой режим основных торгов (TQ*); первая строка.
+ * @param {Object[]} rows - Строки блока securities одной бумаги по разным режимам.
+ * @param {string} [board] - Явно заданный режим торгов.
+ * @param {string} [primaryBoard] - Основной режим бумаги, найденный через resolveTicker.
+ * @return {Object | null} - Строка выбранного режима или null, если заданного режима нет.
+ */
+function selectBoardRow(rows, board, primaryBoard) {
+  if (board) {
+    return rows.find((r) => r.BOARDID === board) || null;
+  }
+
+  const primary = rows.find(
+    (r) =>
+      (primaryBoard && r.BOARDID === primaryBoard) ||
+      (r.PRIMARY_BOARDID && r.BOARDID === r.PRIMARY_BOARDID)
+  );
+  if (primary) {
+    return primary;
+  }
+
+  for (let i = 0; i < BOARD_PRIORITY.length; i++) {
+    const row = rows.find((r) => r.BOARDID === BOARD_PRIORITY[i]);
+    if (row) {
+      return row;
+    }
+  }
+
+  return rows.find((r) => /^TQ/.test(r.BOARDID)) || rows[0] || null;
+}
+
+/**
+ * Приводит аргумент режима торгов к коду ISS.
+ * @param {string} board - Значение из ячейки.
+ * @return {string | undefined} - Код режима в верхнем регистре или undefined, если не задан.
+ */
+function normalizeBoard(board) {
+  if (!board || String(board).trim() === '') {
+    return undefined;
+  }
+  return String(board).trim().toUpperCase();
+}
+
+/**
+ * Возвращает значение колонки ISS из снимка облигации.
+ * Сначала ищется в marketdata (торговые данные), затем в securities (параметры бумаги).
+ * @param {Object} snapshot - Снимок из fetchBondSnapshot.
+ * @param {string} field - Название колонки ISS (регистр не важен).
+ * @return {*} - Значение или undefined, если такой колонки нет.
+ */
+function getSnapshotField(snapshot, field) {
+  const name = String(field).trim().toUpperCase();
+  if (Object.prototype.hasOwnProperty.call(snapshot.marketdata, name)) {
+    return snapshot.marketdata[name];
+  }
+  return snapshot.securities[name];
+}
+
+/**
+ * Кастомная функция для ячейки. Возвращает КОТИРОВКИ И ЛИКВИДНОСТЬ облигации
+ * по текущей торговой сессии: лучшие спрос и предложение, спред, оборот и число сделок,
+ * доходность, средневзвешенную цену, время обновления и оценку ликвидности.
+ * @param {string} ticker ISIN или Торговый код облигации (например, "SU26227RMFS7").
+ * @param {string} [field] "BID", "OFFER", "SPREAD", "SPREADBP", "VALTODAY", "NUMTRADES", "YIELD",
+ *   "YIELDATWAPRICE", "WAPRICE", "UPDATETIME" или "LIQUIDITY". Без поля — таблица всех значений.
+ * @param {string} [board] Режим торгов (например, "TQCB"). По умолчанию — основной режим бумаги.
+ * @return {*} Значение поля или таблица "Поле — Значение".
+ * @customfunction
+ */
+function GET_MOEX_QUOTE(ticker, field, board) {
+  return runCustomFunction(ticker, () => {
+    if (!ticker || ticker.trim() === '') {
+      return null;
+    }
+    const name = field ? String(field).trim().toUpperCase() : null;
+    if (name && !QUOTE_FIELDS.some(([key]) => key === name)) {
+      return new MoexError(
+        'BAD_ARG',
+        `Неизвестное поле: ${field}. Допустимо: ${QUOTE_FIELDS.map(([key]) => key).join(', ')}`
+      );
+    }
+
+    const snapshot = fetchBondSnapshot(ticker, normalizeBoard(board));
+    if (snapshot instanceof MoexError) {
+      return snapshot;
+    }
+
+    const quote = buildBondQuote(snapshot.marketdata);
+    if (name) {
+      return formatIssValue(quote[name]);
+    }
+    return [['Поле', 'Значение']].concat(
+      QUOTE_FIELDS.map(([key, label]) => [label, formatIssValue(quote[key])])
+    );
+  });
+}
+
+/**
+ * Собирает котировки и показатели ликвидности из блока marketdata снимка.
+ * Спред считается, только если есть и спрос, и предложение.
+ * @param {Object} marketdata - Строка marketdata из fetchBondSnapshot.
+ * @return {Object} - Значения полей QUOTE_FIELDS (null, если данных нет).
+ */
+function buildBondQuote(marketdata) {
+  const bid = toNumberOrNull(marketdata.BID);
+  const offer = toNumberOrNull(marketdata.OFFER);
+  const hasSpread = bid !== null && offer !== null && bid > 0 && offer >= bid;
+  const quote = {
+    BID: bid,
+    OFFER: offer,
+    SPREAD: hasSpread ? offer - bid : null,
+    SPREADBP: hasSpread ? ((offer - bid) / ((offer + bid) / 2)) * 10000 : null,
+    VALTODAY: toNumberOrNull(marketdata.VALTODAY),
+    NUMTRADES: toNumberOrNull(marketdata.NUMTRADES),
+    YIELD: toNumberOrNull(marketdata.YIELD),
+    YIELDATWAPRICE: toNumberOrNull(marketdata.YIELDATWAPRICE),
+    WAPRICE: toNumberOrNull(marketdata.WAPRICE),
+    UPDATETIME: marketdata.UPDATETIME || null,
+  };
+
+  // Оборот валютных облигаций сравнивается в рублях, если ISS отдает VALTODAY_RUR
+  const valtodayRub = toNumberOrNull(marketdata.VALTODAY_RUR);
+  quote.LIQUIDITY = calcLiquidityScore(
+    valtodayRub !== null ? valtodayRub : quote.VALTODAY,
+    quote.NUMTRADES,
+    quote.SPREADBP
+  );
+  return quote;
+}
+
+/**
+ * Оценивает ликвидность бумаги от 0 до 100 по шкалам LIQUIDITY_SCALES.
+ * Нет сделок или котировок с обеих сторон — соответствующая составляющая равна нулю.
+ * @param {number | null} valtoday - Оборот за день, руб.
+ * @param {number | null} numtrades - Число сделок за день.
+ * @param {number | null} spreadBp - Спред к середине, б.п.
+ * @return {number} - Оценка (целое число от 0 до 100).
+ */
+function calcLiquidityScore(valtoday, numtrades, spreadBp) {
+  const logScale = (value, [worst, best]) => {
+    if (!(value > 0)) {
+      return 0;
+    }
+    const share = Math.log(value / worst) / Math.log(best / worst);
+    return Math.min(1, Math.max(0, share));
+  };
+
+  const score =
+    LIQUIDITY_SCALES.valtoday.weight * logScale(valtoday, LIQUIDITY_SCALES.valtoday.range) +
+    LIQUIDITY_SCALES.numtrades.weight * logScale(numtrades, LIQUIDITY_SCALES.numtrades.range) +
+    LIQUIDITY_SCALES.spread.weight *
+      (spreadBp === null ? 0 : logScale(Math.max(spreadBp, 0.01), LIQUIDITY_SCALES.spread.range));
+  return Math.round(score * 100);
+}
+
+/**
+ * Кастомная функция для ячейки. Возвращает ЛЮБОЕ ПОЛЕ ISS по облигации
+ * (например, "YIELD", "DURATION", "ACCRUEDINT", "LISTLEVEL").
+ * Доступны колонки блоков marketdata и securities; даты возвращаются как даты.
+ * @param {string} ticker Торговый код облигации (например, "SU26227RMFS7").
+ * @param {string} field Название колонки ISS.
+ * @param {string} [board] Режим торгов (например, "TQCB"). По умолчанию — основной режим бумаги.
+ * @return {number | string | Date} Значение поля.
+ * @customfunction
+ */
+function GET_MOEX_BOND(ticker, field, board) {
+  return runCustomFunction(ticker, () => {
+    if (!ticker || ticker.trim() === '') {
+      return null;
+    }
+    if (!field || String(field).trim() === '') {
+      return new MoexError('BAD_ARG', 'Укажите поле');
+    }
+
+    const snapshot = fetchBondSnapshot(ticker, normalizeBoard(board));
+    if (snapshot instanceof MoexError) {
+      return snapshot;
+    }
+
+    return getBondFieldValue(snapshot, field);
+  });
+}
+
+/**
+ * Возвращает значение поля снимка в виде, пригодном для ячейки.
+ * @param {Object} snapshot - Снимок из fetchBondSnapshot.
+ * @param {string} field - Название колонки ISS.
+ * @return {number | string | Date | MoexError} - Значение (даты ISS преобразуются в Date) или MoexError.
+ */
+function getBondFieldValue(snapshot, field) {
+  const value = getSnapshotField(snapshot, field);
+  if (typeof value === 'undefined') {
+    return new MoexError('NO_DATA', `Поле ${String(field).trim().toUpperCase()} отсутствует`);
+  }
+  return formatIssValue(value);
+}
+
+/**
+ * Приводит значение ISS к виду, пригодному для ячейки.
+ * @param {*} value - Значение из ответа ISS.
+ * @return {number | string | Date} - Значение; даты 'YYYY-MM-DD' преобразуются в Date, null — в ''.
+ */
+function formatIssValue(value) {
+  if (value === null || typeof value === 'undefined') {
+    return '';
+  }
+
+  // Даты ISS приходят строками 'YYYY-MM-DD'
+  if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return parseIssDate(value) || '';
+  }
+  return value;
+}
+
+/**
+ * Кастомная функция для диапазона. Возвращает цены всех облигаций диапазона
+ * одним-двумя запросами к ISS. Результат повторяет форму диапазона.
+ * @param {string[][]} tickers Диапазон с торговыми кодами (например, A2:A200).
+ * @param {string} [board] Режим торгов для всех бумаг. По умолчанию — основной режим каждой бумаги.
+ * @return {Array<Array<number | string>>} Цены в % от номинала или тексты ошибок.
+ * @customfunction
+ */
+function GET_MOEX_PRICES(tickers, board) {
+  return runCustomFunction(null, () => {
+    const grid = normalizeTickerRange(tickers);
+    const snapshots = fetchBondSnapshots(
+      grid.flat().filter((t) => t !== ''),
+      normalizeBoard(board)
+    );
+
+    return grid.map((row) =>
+      row.map((t) => {
+        if (t === '') {
+          return '';
+        }
+        const snapshot = snapshots[t];
+        return toCellValue(
+          snapshot instanceof MoexError ? snapshot : getSnapshotPrice(snapshot),
+          t
+        );
+      })
+    );
+  });
+}
+
+/**
+ * Кастомная функция для диапазона. Возвращает таблицу полей ISS по всем облигациям
+ * диапазона: одна строка на тикер, одна колонка на поле.
+ * @param {string[][]} tickers Диапазон с торговыми кодами (например, A2:A200).
+ * @param {string[][]} fields Названия колонок ISS (например, {"LAST","YIELD","NEXTCOUPON"}).
+ * @param {string | string[][]} [board] Режим торгов для всех бумаг или диапазон режимов той же
+ *   формы, что и тикеры (например, B2:B200). По умолчанию — основной режим каждой бумаги.
+ * @return {Array<Array<*>>} Значения полей или тексты ошибок.
+ * @customfunction
+ */
+function GET_MOEX_TABLE(tickers, fields, board) {
+  return runCustomFunction(null, () => {
+    const fieldList = normalizeTickerRange(fields)
+      .flat()
+      .filter((f) => f !== '');
+    if (fieldList.length === 0) {
+      return new MoexError('BAD_ARG', 'Укажите поля');
+    }
+
+    const tickerList = normalizeTickerRange(tickers).flat();
+    const boardList = Array.isArray(board) ? normalizeTickerRange(board).flat() : null;
+    if (boardList && boardList.length !== tickerList.length) {
+      return new MoexError('BAD_ARG', 'Диапазоны тикеров и режимов должны быть одного размера');
+    }
+    const boardOf = (i) => normalizeBoard(boardList ? boardList[i] : board);
+
+    // Снимки запрашиваются одним списком на каждый режим торгов
+    const tickersByBoard = {};
+    tickerList.forEach((t, i) => {
+      if (t !== '') {
+        const key = boardOf(i) || '';
+        tickersByBoard[key] = (tickersByBoard[key] || []).concat(t);
+      }
+    });
+    const snapshotsByBoard = {};
+    Object.keys(tickersByBoard).forEach((key) => {
+      snapshotsByBoard[key] = fetchBondSnapshots(tickersByBoard[key], key || undefined);
+    });
+
+    return tickerList.map((t, i) => {
+      if (t === '') {
+        return fieldList.map(() => '');
+      }
+      const snapshot = snapshotsByBoard[boardOf(i) || ''][t];
+      if (snapshot instanceof MoexError) {
+        return fieldList.map(() => toCellValue(snapshot, t));
+      }
+      return fieldList.map((f) => toCellValue(getBondFieldValue(snapshot, f), t));
+    });
+  });
+}
+
+/**
+ * Приводит аргумент-диапазон кастомной функции к двумерному массиву строк.
+ * Одиночная ячейка передается в функцию как значение, а не как массив.
+ * @param {*} range - Значение или двумерный массив значений.
+ * @return {string[][]} - Обрезанные строки ('' для пустых ячеек).
+ */
+function normalizeTickerRange(range) {
+  const rows = Array.isArray(range) ? range : [[range]];
+  return rows.map((row) =>
+    (Array.isArray(row) ? row : [row]).map((v) =>
+      v === null || typeof v === 'undefined' ? '' : String(v).trim()
+    )
+  );
+}
+
+/**
+ * Внутренняя функция для получения данных. Возвращает цену или текст ошибки.
+ * @param {string} ticker - Торговый код бумаги.
+ * @param {string} [board] - Режим торгов; по умолчанию выбирается основной.
+ * @return {number | MoexError} - Цена или MoexError.
+ */
+function fetchSinglePriceInternal(ticker, board) {
+  const snapshot = fetchBondSnapshot(ticker, board);
+  if (snapshot instanceof MoexError) {
+    return snapshot;
+  }
+  return getSnapshotPrice(snapshot);
+}
+
+/**
+ * Извлекает цену из снимка облигации.
+ * Анализирует ОБА блока данных (marketdata и securities) для максимальной надежности.
+ * @param {Object} snapshot - Снимок из fetchBondSnapshot.
+ * @return {number | MoexError} - Цена в % от номинала или MoexError.
+ */
+function getSnapshotPrice(snapshot) {
+  // Ищем цену в порядке приоритета по обоим блокам
+  const price =
+    snapshot.marketdata.LAST ??
+    snapshot.marketdata.CLOSEPRICE ??
+    snapshot.securities.PREVLEGALCLOSEPRICE ??
+    snapshot.securities.PREVPRICE;
+
+  if (price === null || typeof price === 'undefined') {
+    return new MoexError('NO_DATA', 'Цена не найдена'); // Если ни одного значения не нашлось
+  }
+
+  return parseFloat(price);
+}
+
+/**
+ * Кастомная функция для ячейки. Возвращает ДАТУ СЛЕДУЮЩЕГО КУПОНА по тикеру.
+ * @param {string} ticker Торговый код облигации (например, "ОФЗ 26227").
+ * @return {Date} Дата следующего купона.
+ * @customfunction
+ */
+function GET_NEXT_COUPON(ticker) {
+  return runCustomFunction(ticker, () => {
+    if (!ticker || ticker.trim() === '') {
+      return null;
+    }
+
+    return fetchNextCouponInternal(ticker);
+  });
+}
+
+/**
+ * Внутренняя функция для получения данных о следующем купоне.
+ * @param {string} ticker - Торговый код бумаги.
+ * @return {Date | MoexError} - Объект Date или MoexError.
+ */
+function fetchNextCouponInternal(ticker) {
+  const snapshot = fetchBondSnapshot(ticker);
+  if (snapshot instanceof MoexError) {
+    return snapshot;
+  }
+
+  const couponDateStr = snapshot.securities.NEXTCOUPON;
+  if (typeof couponDateStr === 'undefined') {
+    return new MoexError('NO_DATA', 'Поле NEXTCOUPON отсутствует');
+  }
+
+  // Проверяем, есть ли дата купона (может не быть у бумаг в обращении или погашенных)
+  const couponDate = parseIssDate(couponDateStr);
+  if (!couponDate) {
+    return new MoexError('NO_DATA', 'Нет предстоящих купонов');
+  }
+
+  // Возвращаем как объект Date, чтобы Google Sheets правильно понял формат
+  return couponDate;
+}
+
+/**
+ * Кастомная функция для ячейки. Возвращает НАИМЕНОВАНИЕ ОБЛИГАЦИИ по тикеру.
+ * @param {string} ticker Торговый код облигации (например, "ОФЗ 26227").
+ * @return {string} Наименование облигации.
+ * @customfunction
+ */
+function GET_MOEX_NAME(ticker) {
+  return runCustomFunction(ticker, () => {
+    if (!ticker || ticker.trim() === '') {
+      return null;
+    }
+
+    return fetchBondNameInternal(ticker);
+  });
+}
+
+/**
+ * Внутренняя функция для получения наименования облигации.
+ * @param {string} ticker - Торговый код бумаги.
+ * @return {string | MoexError} - Наименование или MoexError.
+ */
+function fetchBondNameInternal(ticker) {
+  const snapshot = fetchBondSnapshot(ticker);
+  if (snapshot instanceof MoexError) {
+    return snapshot;
+  }
+
+  // Пробуем найти SECNAME (полное наименование) или SHORTNAME (краткое)
+  const name = snapshot.securities.SECNAME || snapshot.securities.SHORTNAME;
+
+  if (!name) {
+    return new MoexError('NO_DATA', 'Наименование не найдено');
+  }
+
+  return name;
+}
+
+/**
+ * Кастомная функция для ячейки. Возвращает СПРАВОЧНЫЕ ДАННЫЕ облигации из описания ISS:
+ * эмитент и его ИНН, объем выпуска, частота купонов, уровень листинга, вид облигации,
+ * признаки бумаги для квалифицированных инвесторов, субординированной и бессрочной.
+ * @param {string} ticker ISIN или Торговый код облигации (например, "RU000A105DH9").
+ * @param {string} [field] "ISSUER", "INN", "ISSUESIZE", "COUPONFREQUENCY", "LISTLEVEL", "BONDTYPE",
+ *   "QUALIFIED", "SUBORDINATED", "PERPETUAL" или любое поле описания ISS. Без поля — таблица всех данных.
+ * @return {*} Значение поля или таблица "Поле — Значение".
+ * @customfunction
+ */
+function GET_BOND_INFO(ticker, field) {
+  return runCustomFunction(ticker, () => {
+    if (!ticker || ticker.trim() === '') {
+      return null;
+    }
+
+    const info = fetchBondInfoInternal(ticker);
+    if (info instanceof MoexError) {
+      return info;
+    }
+
+    if (!field || String(field).trim() === '') {
+      return [['Поле', 'Значение']].concat(
+        BOND_INFO_FIELDS.map(([key, label]) => [label, formatIssValue(info[key])])
+      );
+    }
+
+    const name = String(field).trim().toUpperCase();
+    if (BOND_INFO_FIELDS.some(([key]) => key === name)) {
+      return formatIssValue(info[name]);
+    }
+    if (!Object.prototype.hasOwnProperty.call(info.description, name)) {
+      return new MoexError('NO_DATA', `Поле ${name} отсутствует`);
+    }
+    return formatIssValue(info.description[name]);
+  });
+}
+
+/**
+ * Загружает справочные данные облигации: описание /iss/securities/{SECID}.json и эмитента
+ * из поиска ISS (параллельно). Данные почти не меняются и кэшируются на 6 часов.
+ * @param {string} ticker - Торговый код, ISIN или наименование бумаги.
+ * @return {Object | MoexError} - Поля BOND_INFO_FIELDS и описание ISS (description) или MoexError.
+ */
+function fetchBondInfoInternal(ticker) {
+  const cacheKey = buildCacheKey('info', ticker);
+  const cached = cacheGet(cacheKey);
+  if (cached !== null) {
+    return cached;
+  }
+
+  const snapshot = fetchBondSnapshot(ticker);
+  if (snapshot instanceof MoexError) {
+    return snapshot;
+  }
+
+  const secid = snapshot.securities.SECID;
+  const [descriptionData, searchData] = fetchIssJsonAll([
+    `https://iss.moex.com/iss/securities/${encodeURIComponent(secid)}.json` +
+      '?iss.meta=off&iss.only=description',
+    `https://iss.moex.com/iss/securities.json?iss.meta=off&iss.only=securities&q=${encodeURIComponent(
+      secid
+    )}`,
+  ]);
+  if (descriptionData instanceof MoexError) {
+    return descriptionData;
+  }
+  if (searchData instanceof MoexError) {
+    return searchData;
+  }
+
+  const description = {};
+  issBlockToObjects(descriptionData.description).forEach((row) => {
+    description[String(row.name).toUpperCase()] = row.value;
+  });
+  if (Object.keys(description).length === 0) {
+    return new MoexError('NO_DATA', 'Нет описания бумаги');
+  }
+  const emitent = issBlockToObjects(searchData.securities).find((r) => r.secid === secid) || {};
+
+  // Признаки субординации и бессрочности есть не во всех описаниях: проверяем и наименование
+  const names = `${description.NAME || ''} ${description.BOND_SUBTYPE || ''}`.toLowerCase();
+  // Бессрочной считается бумага с пустой датой погашения; отсутствие поля MATDATE
+  // в описании ничего не говорит о сроке
+  const hasMatDate = Object.prototype.hasOwnProperty.call(description, 'MATDATE');
+  const noMaturity =
+    hasMatDate && ['', '0000-00-00'].includes(String(description.MATDATE ?? '').trim());
+  const info = {
+    ISSUER: emitent.emitent_title || null,
+    INN: emitent.emitent_inn ? String(emitent.emitent_inn) : null,
+    ISSUESIZE: toNumberOrNull(description.ISSUESIZE),
+    COUPONFREQUENCY: toNumberOrNull(description.COUPONFREQUENCY),
+    LISTLEVEL: toNumberOrNull(description.LISTLEVEL),
+    BONDTYPE: BOND_TYPE_LABELS[description.TYPE] || description.TYPENAME || null,
+    QUALIFIED: String(description.ISQUALIFIEDINVESTORS) === '1',
+    SUBORDINATED: String(description.ISSUBORDINATED) === '1' || names.includes('суборд'),
+    PERPETUAL: noMaturity || names.includes('бессроч'),
+    description,
+  };
+
+  cachePut(cacheKey, info, getCacheTtl('static'));
+  return info;
+}
+
+/**
+ * Кастомная функция для ячейки. Возвращает РАЗМЕР СЛЕДУЮЩЕГО КУПОНА по тикеру.
+ * @param {string} ticker Торговый код облигации (например, "ОФЗ 26227").
+ * @param {string} [currency] Валюта результата (например, "RUB"). По умолчанию — валюта номинала.
+ * @return {number} Размер следующего купона.
+ * @customfunction
+ */
+function GET_COUPON_VALUE(ticker, currency) {
+  return runCustomFunction(ticker, () => {
+    if (!ticker || ticker.trim() === '') {
+      return null;
+    }
+
+    const cacheKey = buildCacheKey('coupon_value', ticker);
+    const cached = cacheGet(cacheKey);
+    if (cached !== null) {
+      return convertBondAmount(ticker, cached, currency);
+    }
+
+    const result = fetchCouponValueInternal(ticker);
+    if (result instanceof MoexError) {
+      return result;
+    }
+
+    // Кэшируем на 6 часов только объявленный купон (в валюте номинала): прогноз флоатера
+    // зависит от листов MOEX_Floaters и MOEX_Rates и пересчитывается при каждом вызове
+    if (!result.estimated) {
+      cachePut(cacheKey, result.value, getCacheTtl('static'));
+    }
+
+    return convertBondAmount(ticker, result.value, currency);
+  });
+}
+
+/**
+ * Внутренняя функция для получения размера следующего купона.
+ * Оба источника (COUPONVALUE и bondization) дают сумму в валюте номинала.
+ * @param {string} ticker - Торговый код бумаги.
+ * @return {{value: number, estimated: boolean} | MoexError} - Размер купона и признак
+ *   прогноза (купон еще не объявлен) или MoexError.
+ */
+function fetchCouponValueInternal(ticker) {
+  // 1. Пытаемся получить данные из основного источника (securities)
+  const snapshot = fetchBondSnapshot(ticker);
+  if (snapshot instanceof MoexError) {
+    return snapshot;
+  }
+
+  // Если значение есть и оно валидное, возвращаем его
+  // ВАЖНО: Если значение 0, считаем его отсутствующим (для флоатеров) и идем в fallback.
+  // Для ОФЗ-ИН купон всегда пересчитывается от индексированного номинала
+  const couponValue = toNumberOrNull(snapshot.securities.COUPONVALUE);
+  const { SECID: secid, SECNAME: secName } = snapshot.securities;
+  if (couponValue !== null && couponValue !== 0 && !isInflationLinked(secid, secName)) {
+    return { value: couponValue, estimated: false };
+  }
+
+  // 2. Если значение купона не найдено или равно 0, пробуем альтернативный источник (bondization)
+  return fetchCouponFromBondization(ticker);
+}
+
+/**
+ * Кастомная функция для ячейки. Возвращает ДАТУ ПОГАШЕНИЯ облигации по тикеру.
+ * @param {string} ticker Торговый код облигации (например, "ОФЗ 26227").
+ * @return {Date} Дата погашения.
+ * @customfunction
+ */
+function GET_MATURITY_DATE(ticker) {
+  return runCustomFunction(ticker, () => {
+    if (!ticker || ticker.trim() === '') {
+      return null;
+    }
+
+    return fetchMaturityDateInternal(ticker);
+  });
+}
+
+/**
+ * Внутренняя функция для получения даты погашения облигации.
+ * @param {string} ticker - Торговый код бумаги.
+ * @return {Date | MoexError} - Объект Date или MoexError.
+ */
+function fetchMaturityDateInternal(ticker) {
+  const snapshot = fetchBondSnapshot(ticker);
+  if (snapshot instanceof MoexError) {
+    return snapshot;
+  }
+
+  const matDateStr = snapshot.securities.MATDATE;
+  if (typeof matDateStr === 'undefined') {
+    return new MoexError('NO_DATA', 'Поле MATDATE отсутствует');
+  }
+
+  const matDate = parseIssDate(matDateStr);
+  if (!matDate) {
+    return new MoexError('NO_DATA', 'Дата погашения не определена');
+  }
+
+  return matDate;
+}
+
+/**
+ * Дополнительная функция для получения купона через bondization.
+ * Ищет следующий купон; если его значение не объявлено — берет прогноз для флоатера
+ * (см. projectFloaterCoupons) или предыдущий известный. Купон ОФЗ-ИН считается
+ * от индексированного номинала (см. indexLinkedSchedule).
+ * @param {string} ticker - Торговый код бумаги.
+ * @return {{value: number, estimated: boolean} | MoexError} - Размер купона и признак прогноза
+ *   или MoexError (в том числе NO_DATA для флоатера без данных о ставке).
+ */
+function fetchCouponFromBondization(ticker) {
+  const schedule = loadBondSchedule(ticker);
+  if (schedule instanceof MoexError) {
+    return schedule;
+  }
+
+  const coupons = schedule.coupons;
+  if (coupons.length === 0) {
+    return new MoexError('NO_DATA', 'Нет данных о купонах (bondization)');
+  }
+
+  const values = fillCouponValues(coupons);
+  const today = getToday();
+
+  // Следующий купон (или последний, если будущих нет): для флоатера — прогноз по базовой ставке,
+  // иначе подставляется последнее известное значение
+  const nextIndex = coupons.findIndex((c) => c.date >= today);
+  const index = nextIndex === -1 ? coupons.length - 1 : nextIndex;
+  if (index >= 0 && values[index] !== null) {
+    return { value: values[index], estimated: !isKnownCouponValue(coupons[index].value) };
+  }
+  if (index >= 0 && coupons[index].floating) {
+    return new MoexError(
+      'NO_DATA',
+      'Купон флоатера не объявлен, а данных о базовой ставке нет (листы MOEX_Floaters, MOEX_Rates)'
+    );
+  }
+
+  return new MoexError('NO_DATA', 'Купон не определен');
+}
+
+/**
+ * Кастомная функция для ячейки. Возвращает БЛИЖАЙШУЮ ДАТУ (Put/Call опцион или амортизация).
+ * Полный список событий с типами и суммами возвращает GET_BOND_CASHFLOWS.
+ * @param {string} ticker ISIN или Торговый код облигации.
+ * @return {Date} Ближайшая дата.
+ * @customfunction
+ */
+function GET_NEAREST_OPTION_DATE(ticker) {
+  return runCustomFunction(ticker, () => {
+    if (!ticker) return new MoexError('BAD_ARG', 'Укажите тикер');
+
+    return fetchBondOptionDatesInternal(ticker);
+  });
+}
+
+/**
+ * Внутренняя функция для получения ближайшей даты оферты или амортизации.
+ * @param {string} ticker - ISIN или код бумаги.
+ * @return {Date | MoexError} - Ближайшая дата или MoexError.
+ */
+function fetchBondOptionDatesInternal(ticker) {
+  const data = fetchBondizationData(ticker);
+  if (data instanceof MoexError) {
+    return data;
+  }
+
+  const nearest = buildBondEvents(parseBondSchedule(data), getToday()).find(
+    (e) => e.type === 'amortization' || e.type === 'offer'
+  );
+
+  if (!nearest) {
+    return new MoexError('NO_DATA', 'Нет оферт/аморт.');
+  }
+
+  return nearest.date;
+}
+
+/**
+ * Кастомная функция для ячейки. Возвращает БЛИЖАЙШУЮ ОФЕРТУ облигации:
+ * дату, вид (пут или колл), цену выкупа и период приема заявок на пут-оферту.
+ * @param {string} ticker ISIN или Торговый код облигации (например, "RU000A105DH9").
+ * @param {string} [type] "put" или "call". По умолчанию — оферта любого вида.
+ * @return {Array<Array<*>>} Заголовок и строка с параметрами оферты.
+ * @customfunction
+ */
+function GET_NEXT_OFFER(ticker, type) {
+  return runCustomFunction(ticker, () => {
+    if (!ticker || ticker.trim() === '') {
+      return null;
+    }
+    const kind = type ? String(type).trim().toLowerCase() : null;
+    if (kind && !OFFER_TYPE_LABELS[kind]) {
+      return new MoexError('BAD_ARG', `Неизвестный вид оферты: ${type}. Допустимо: put, call`);
+    }
+
+    const schedule = loadBondSchedule(ticker);
+    if (schedule instanceof MoexError) {
+      return schedule;
+    }
+
+    const today = getToday();
+    const offer = schedule.offers.find((o) => o.date >= today && (!kind || o.kind === kind));
+    if (!offer) {
+      return new MoexError('NO_DATA', kind ? `Нет оферт вида ${kind}` : 'Нет оферт');
+    }
+
+    return [
+      ['Дата', 'Вид', 'Цена, %', 'Начало приема заявок', 'Окончание приема заявок'],
+      [
+        offer.date,
+        OFFER_TYPE_LABELS[offer.kind],
+        offer.price === null ? 100 : offer.price,
+        offer.submitFrom || '',
+        offer.submitTill || '',
+      ],
+    ];
+  });
+}
+
+/**
+ * Загружает JSON из ISS через общий слой запросов (повторы, лимит запросов).
+ * @param {string} url - Адрес запроса.
+ * @return {Object | MoexError} - Распарсенный ответ или MoexError.
+ */
+function fetchIssJson(url) {
+  return fetchIssJsonAll([url])[0];
+}
+
+/**
+ * Загружает несколько адресов ISS параллельно (UrlFetchApp.fetchAll).
+ * Ответы 429 и 5xx, а также сетевые ошибки повторяются с экспоненциальной паузой
+ * до HTTP_MAX_RETRIES раз. Запросы сверх HTTP_REQUEST_BUDGET за выполнение не отправляются.
+ * Ошибки возвращаются как MoexError с адресом и HTTP-кодом, чтобы вызывающий код не сохранял их в кэш.
+ * @param {string[]} urls - Адреса запросов.
+ * @return {Array<Object | MoexError>} - Распарсенные ответы или MoexError в том же порядке.
+ */
+function fetchIssJsonAll(urls) {
+  const results = urls.map((url) => new MoexError('NETWORK', 'Нет ответа ISS', { url }));
+  let pending = urls.map((url, i) => i);
+
+  for (let attempt = 0; attempt <= HTTP_MAX_RETRIES && pending.length > 0; attempt++) {
+    if (attempt > 0) {
+      Utilities.sleep(HTTP_BACKOFF_MS * Math.pow(2, attempt - 1));
+    }
+
+    const allowed = Math.max(0, HTTP_REQUEST_BUDGET - issRequestCount);
+    pending.slice(allowed).forEach((i) => {
+      results[i] = new MoexError('LIMIT', 'Превышен лимит запросов к ISS за один запуск', {
+        url: urls[i],
+      });
+    });
+    pending = pending.slice(0, allowed);
+    if (pending.length === 0) {
+      break;
+    }
+    issRequestCount += pending.length;
+
+    let responses;
+    try {
+      responses = UrlFetchApp.fetchAll(
+        pending.map((i) => ({ url: urls[i], muteHttpExceptions: true }))
+      );
+    } catch (e) {
+      // Сетевая ошибка прерывает весь fetchAll: повторяем все запросы пачки
+      pending.forEach((i) => {
+        results[i] = new MoexError('NETWORK', 'Ошибка сети', { url: urls[i], cause: e.message });
+      });
+      continue;
+    }
+
+    const retry = [];
+    responses.forEach((response, k) => {
+      const i = pending[k];
+      const code = response.getResponseCode();
+      if (code === 200) {
+        try {
+          results[i] = JSON.parse(response.getContentText());
+        } catch (e) {
+          results[i] = new MoexError('PARSE', 'Ошибка разбора ответа ISS', {
+            url: urls[i],
+            cause: e.message,
+          });
+        }
+        return;
+      }
+      results[i] = new MoexError('HTTP', `Ошибка API: ${code}`, { url: urls[i], httpCode: code });
+      if (code === 429 || code >= 500) {
+        retry.push(i);
+      }
+    });
+    pending = retry;
+  }
+
+  return results;
+}
+
+/**
+ * Загружает данные bondization (купоны, амортизации, оферты) по облигации.
+ * Если по тикеру ничего не найдено, он переводится в SECID через поиск ISS.
+ * Ответ кэшируется на 6 часов; у длинных выпусков он превышает лимит значения
+ * CacheService и сохраняется частями (см. cachePutAll).
+ * @param {string} ticker - ISIN, код, рег. номер или наименование бумаги.
+ * @return {Object | MoexError} - Распарсенный ответ ISS или MoexError.
+ */
+function fetchBondizationData(ticker) {
+  const cacheKey = buildCacheKey('bondization', ticker);
+  const cached = cacheGet(cacheKey);
+  if (cached !== null) {
+    return cached;
+  }
+
+  const data = fetchBondizationDataUncached(ticker);
+  if (!(data instanceof MoexError)) {
+    cachePut(cacheKey, data, getCacheTtl('static'));
+  }
+  return data;
+}
+
+/**
+ * Загружает bondization из ISS, при необходимости переводя тикер в SECID.
+ * @param {string} ticker - ISIN, код, рег. номер или наименование бумаги.
+ * @return {Object | MoexError} - Распарсенный ответ ISS или MoexError.
+ */
+function fetchBondizationDataUncached(ticker) {
+  if (isSecurityCode(ticker)) {
+    const data = fetchBondizationDataInternal(ticker);
+    if (data instanceof MoexError || hasBondizationRows(data)) {
+      return data;
+    }
+  }
+
+  const resolved = resolveTicker(ticker);
+  if (resolved instanceof MoexError) {
+    return resolved;
+  }
+  return fetchBondizationDataInternal(resolved.secid);
+}
+
+/**
+ * Внутренняя функция для загрузки bondization по коду бумаги.
+ * @param {string} secid - ISIN или код бумаги.
+ * @return {Object | MoexError} - Распарсенный ответ ISS или MoexError.
+ */
+function fetchBondizationDataInternal(secid) {
+  return fetchIssJson(
+    `https://iss.moex.com/iss/securities/${encodeURIComponent(secid)}/bondization.json?iss.meta=off&limit=unlimited`
+  );
+}
+
+/**
+ * Проверяет, что ответ bondization содержит хотя бы один купон или погашение.
+ * @param {Object} data - Ответ bondization.
+ * @return {boolean}
+ */
+function hasBondizationRows(data) {
+  return ['coupons', 'amortizations'].some((block) => data[block] && data[block].data.length > 0);
+}
+
+/**
+ * Проверяет, похож ли тикер на код бумаги (SECID или ISIN), который можно
+ * подставить в URL ISS без поиска. Наименования вида "ОФЗ 26227" сюда не подходят.
+ * @param {string} ticker - Значение из ячейки.
+ * @return {boolean}
+ */
+function isSecurityCode(ticker) {
+  return /^[A-Z0-9_.-]+$/i.test(ticker);
+}
+
+/**
+ * Переводит наименование, ISIN, регистрационный номер или SECID облигации в SECID
+ * и основной режим торгов через поиск ISS (/iss/securities.json?q=).
+ * @param {string} query - Строка поиска.
+ * @return {{secid: string, board: string | null} | MoexError} - SECID и режим или MoexError.
+ */
+function resolveTicker(query) {
+  return resolveTickers([query])[query];
+}
+
+/**
+ * Переводит несколько строк поиска в SECID; отсутствующие в кэше ищутся параллельно.
+ * Соответствие почти не меняется, поэтому кэшируется на максимальный срок CacheService (6 часов).
+ * @param {string[]} queries - Строки поиска.
+ * @return {Object<string, Object | MoexError>} - SECID и режим или MoexError для каждой строки.
+ */
+function resolveTickers(queries) {
+  const uniqueQueries = [...new Set(queries)];
+  const cacheKey = (query) => buildCacheKey('resolve', query);
+  const cached = cacheGetAll(uniqueQueries.map(cacheKey));
+
+  const result = {};
+  const missing = [];
+  uniqueQueries.forEach((query) => {
+    const value = cached[cacheKey(query)];
+    if (value !== null) {
+      result[query] = value;
+    } else {
+      missing.push(query);
+    }
+  });
+
+  const responses = fetchIssJsonAll(
+    missing.map(
+      (query) =>
+        `https://iss.moex.com/iss/securities.json?iss.meta=off&iss.only=securities&engine=stock&market=bonds&q=${encodeURIComponent(
+          query
+        )}`
+    )
+  );
+
+  const toCache = {};
+  missing.forEach((query, i) => {
+    const data = responses[i];
+    result[query] = data instanceof MoexError ? data : pickSearchMatch(data, query);
+    if (!(result[query] instanceof MoexError)) {
+      toCache[cacheKey(query)] = result[query];
+    }
+  });
+
+  cachePutAll(toCache, getCacheTtl('static'));
+
+  return result;
+}
+
+/**
+ * Выбирает облигацию из результатов поиска ISS: точное совпадение SECID, ISIN, рег. номера
+ * или наименования, в первую очередь среди торгуемых бумаг.
+ * @param {Object} data - Ответ /iss/securities.json.
+ * @param {string} query - Строка поиска.
+ * @return {{secid: string, board: string | null} | MoexError} - SECID и режим или MoexError.
+ */
+function pickSearchMatch(data, query) {
+  const rows = issBlockToObjects(data.securities);
+  if (rows.length === 0) {
+    return new MoexError('NOT_FOUND', TICKER_NOT_FOUND);
+  }
+
+  const normalize = (value) =>
+    String(value || '')
+      .replace(/\s+/g, ' ')
+      .trim()
+      .toUpperCase();
+  const target = normalize(query);
+
+  const isExact = (r) =>
+    [r.secid, r.isin, r.regnumber, r.shortname, r.name].some((v) => normalize(v) === target);
+  // Принимается только точное совпадение: иначе опечатка ("ОФЗ 2622") молча вернула бы
+  // данные похожей бумаги, и это соответствие сохранилось бы в кэше
+  const match = rows.find((r) => Number(r.is_traded) === 1 && isExact(r)) || rows.find(isExact);
+  if (!match) {
+    return new MoexError('NOT_FOUND', `${TICKER_NOT_FOUND}: нет точного совпадения для "${query}"`);
+  }
+
+  return { secid: match.secid, board: match.primary_boardid || null };
+}
+
+/**
+ * Преобразует блок ISS вида { columns, data } в массив объектов с ключами по названиям колонок.
+ * @param {Object} block - Блок данных ISS.
+ * @return {Object[]} - Массив строк (пустой, если блок отсутствует).
+ */
+function issBlockToObjects(block) {
+  if (!block || !block.columns || !block.data) {
+    return [];
+  }
+  return block.data.map((row) => {
+    const obj = {};
+    block.columns.forEach((column, i) => {
+      obj[column] = row[i];
+    });
+    return obj;
+  });
+}
+
+/**
+ * Преобразует строку даты ISS ('YYYY-MM-DD') в объект Date.
+ * @param {string} dateStr - Дата из ответа ISS.
+ * @return {Date | null} - Дата или null, если дата не задана.
+ */
+function parseIssDate(dateStr) {
+  if (!dateStr || dateStr === '0000-00-00') {
+    return null;
+  }
+  // new Date('YYYY-MM-DD') разбирается как полночь UTC и в таблице может сдвинуться на день,
+  // поэтому дата собирается по частям в часовом поясе скрипта (Europe/Moscow, как у биржи)
+  const parts = String(dateStr).slice(0, 10).split('-').map(Number);
+  if (parts.length !== 3 || parts.some((p) => isNaN(p))) {
+    return null;
+  }
+  return new Date(parts[0], parts[1] - 1, parts[2]);
+}
+
+/**
+ * Возвращает текущую дату без времени.
+ * @return {Date}
+ */
+function getToday() {
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+  return today;
+}
+
+/**
+ * Приводит числовое значение ISS к числу.
+ * @param {*} value - Значение из ответа ISS.
+ * @return {number | null} - Число или null, если значение отсутствует.
+ */
+function toNumberOrNull(value) {
+  if (value === null || typeof value === 'undefined' || value === '') {
+    return null;
+  }
+  const num = parseFloat(value);
+  return isNaN(num) ? null : num;
+}
+
+/**
+ * Разбирает ответ bondization в график платежей.
+ * Суммы купонов и амортизаций берутся в валюте номинала (поле value), чтобы они
+ * были сопоставимы с ценой в процентах от номинала. Для оферт определяется вид
+ * (put или call, см. classifyOffer) и период приема заявок.
+ * @param {Object} data - Ответ bondization.
+ * @return {{secid: string | null, name: string | null, currency: string | null, coupons: Object[],
+ *   amortizations: Object[], offers: Object[]}} - Код, название и валюта номинала выпуска
+ *   и график, отсортированный по датам.
+ */
+function parseBondSchedule(data) {
+  const byDate = (a, b) => a.date - b.date;
+
+  const couponRows = issBlockToObjects(data.coupons);
+  const coupons = couponRows
+    .map((r) => ({
+      date: parseIssDate(r.coupondate),
+      startDate: parseIssDate(r.startdate),
+      recordDate: parseIssDate(r.recorddate),
+      value: toNumberOrNull(r.value),
+      valuePrc: toNumberOrNull(r.valueprc),
+      faceValue: toNumberOrNull(r.facevalue),
+    }))
+    .filter((c) => c.date)
+    .sort(byDate);
+
+  const amortizations = issBlockToObjects(data.amortizations)
+    .map((r) => ({
+      date: parseIssDate(r.amortdate),
+      value: toNumberOrNull(r.value),
+      valuePrc: toNumberOrNull(r.valueprc),
+      faceValue: toNumberOrNull(r.facevalue),
+      isMaturity: r.data_source === 'maturity',
+    }))
+    .filter((a) => a.date)
+    .sort(byDate);
+
+  const offers = issBlockToObjects(data.offers)
+    .map((r) => ({
+      date: parseIssDate(r.offerdate),
+      type: r.offertype || null,
+      kind: classifyOffer(r.offertype),
+      price: toNumberOrNull(r.price),
+      submitFrom: parseIssDate(r.offerdatestart),
+      submitTill: parseIssDate(r.offerdateend),
+    }))
+    .filter((o) => o.date)
+    .sort(byDate);
+
+  const issue = couponRows[0] || issBlockToObjects(data.amortizations)[0] || {};
+  return {
+    secid: issue.secid || null,
+    name: issue.name || null,
+    currency: normalizeCurrency(issue.faceunit),
+    coupons,
+    amortizations,
+    offers,
+  };
+}
+
+/**
+ * Определяет вид оферты по типу из ISS (offertype).
+ * Коллом считается досрочное погашение по решению эмитента: call, колл-опцион,
+ * "по усмотрению/решению эмитента" и досрочное погашение без уточнения — его обычно
+ * объявляет эмитент. Досрочное погашение по требованию владельцев и остальные оферты,
+ * в том числе "оферта эмитента", — выкуп по требованию владельцев (put).
+ * @param {string | null} offerType - Тип оферты из ISS.
+ * @return {string} - 'call' или 'put'.
+ */
+function classifyOffer(offerType) {
+  const type = offerType || '';
+  if (/call|колл|по\s+(усмотрению|решению)\s+эмитента/i.test(type)) {
+    return 'call';
+  }
+  return /досрочн/i.test(type) && !/по\s+требованию\s+владельц/i.test(type) ? 'call' : 'put';
+}
+
+/**
+ * Проверяет, что размер купона известен. Нулевое значение у будущих купонов означает,
+ * что купон еще не объявлен (флоатеры).
+ * @param {number | null} value - Размер купона.
+ * @return {boolean}
+ */
+function isKnownCouponValue(value) {
+  return value !== null && !isNaN(value) && value !== 0;
+}
+
+/**
+ * Возвращает размеры купонов: вместо необъявленных подставляется прогноз для флоатера
+ * (projectedValue, см. projectFloaterCoupons) или последнее известное значение.
+ * Купон флоатера без прогноза (нет данных о базовой ставке) остается null: последний
+ * объявленный купон для него ничего не говорит о будущем.
+ * @param {Object[]} coupons - Купоны из parseBondSchedule.
+ * @return {Array<number | null>} - Размеры купонов в том же порядке.
+ */
+function fillCouponValues(coupons) {
+  let lastKnownValue = null;
+  return coupons.map((c) => {
+    if (isKnownCouponValue(c.value)) {
+      lastKnownValue = c.value;
+      return c.value;
+    }
+    if (isKnownCouponValue(c.projectedValue)) {
+      return c.projectedValue;
+    }
+    return c.floating ? null : lastKnownValue;
+  });
+}
+
+/**
+ * Загружает график платежей облигации с прогнозом необъявленных купонов флоатера
+ * или с пересчетом будущих выплат ОФЗ-ИН на индексированный номинал.
+ * @param {string} ticker - ISIN, код, рег. номер или наименование бумаги.
+ * @return {Object | MoexError} - График из parseBondSchedule или MoexError.
+ */
+function loadBondSchedule(ticker) {
+  const data = fetchBondizationData(ticker);
+  if (data instanceof MoexError) {
+    return data;
+  }
+  const schedule = parseBondSchedule(data);
+  if (isInflationLinked(schedule.secid, schedule.name)) {
+    return indexLinkedSchedule(schedule, ticker);
+  }
+  return projectFloaterCoupons(schedule, ticker);
+}
+
+/**
+ * Определяет облигацию с индексируемым номиналом (ОФЗ-ИН, серия 52xxx).
+ * @param {string | null} secid - Код бумаги.
+ * @param {string | null} name - Название бумаги.
+ * @return {boolean}
+ */
+function isInflationLinked(secid, name) {
+  return /^SU52\d{3}/i.test(secid || '') || /ОФЗ-ИН|ОФЗ ИН/i.test(name || '');
+}
+
+/**
+ * Пересчитывает будущие выплаты ОФЗ-ИН на текущий индексированный номинал (FACEVALUE):
+ * купон = номинал × реальная ставка / 100 × длительность периода / 365,
+ * амортизации и погашение — в той же доле от номинала, что и в графике.
+ * Пересчитываются только купоны, размер которых ISS еще не объявил: номинал на дату
+ * выплаты неизвестен, поэтому они помечаются как прогноз. Объявленные купоны не меняются.
+ * @param {Object} schedule - График из parseBondSchedule.
+ * @param {string} ticker - Тикер облигации.
+ * @return {Object} - Тот же график.
+ */
+function indexLinkedSchedule(schedule, ticker) {
+  const snapshot = fetchBondSnapshot(ticker);
+  const nominal =
+    snapshot instanceof MoexError ? null : toNumberOrNull(snapshot.securities.FACEVALUE);
+  if (nominal === null) {
+    return schedule;
+  }
+
+  const today = getToday();
+  schedule.coupons.forEach((c) => {
+    if (c.date < today || isKnownCouponValue(c.value) || c.valuePrc === null || !c.startDate) {
+      return;
+    }
+    c.faceValue = nominal;
+    c.projectedRate = c.valuePrc;
+    c.projectedValue = ((nominal * c.valuePrc) / 100) * ((c.date - c.startDate) / MS_PER_YEAR);
+  });
+  schedule.amortizations.forEach((a) => {
+    if (a.date >= today && a.valuePrc !== null) {
+      a.value = (nominal * a.valuePrc) / 100;
+      a.faceValue = nominal;
+    }
+  });
+  return schedule;
+}
+
+/**
+ * Рассчитывает необъявленные будущие купоны флоатера по базовой ставке и спреду:
+ * купон = номинал × (ставка + спред) / 100 × длительность периода / 365.
+ * Ставка берется из прогноза на листе MOEX_Floaters, а если его нет — на дату начала
+ * купонного периода (см. getRateOn).
+ * Результат записывается в поля купонов projectedValue и projectedRate; необъявленные купоны
+ * флоатера помечаются признаком floating, и без данных о ставке их размер остается неизвестным.
+ * @param {Object} schedule - График из parseBondSchedule.
+ * @param {string} ticker - Тикер облигации.
+ * @return {Object} - Тот же график.
+ */
+function projectFloaterCoupons(schedule, ticker) {
+  const today = getToday();
+  const pending = schedule.coupons.filter((c) => c.date >= today && !isKnownCouponValue(c.value));
+  if (pending.length === 0) {
+    return schedule;
+  }
+
+  const terms = findFloaterTerms(schedule, ticker);
+  if (!terms) {
+    return schedule;
+  }
+
+  pending.forEach((c) => {
+    c.floating = true;
+    const baseRate = terms.rate !== null ? terms.rate : getRateOn(terms.rateName, c.startDate);
+    if (baseRate === null || terms.spread === null || !c.startDate || !c.faceValue) {
+      return;
+    }
+    c.projectedRate = baseRate + terms.spread;
+    c.projectedValue =
+      ((c.faceValue * c.projectedRate) / 100) * ((c.date - c.startDate) / MS_PER_YEAR);
+  });
+  return schedule;
+}
+
+/**
+ * Определяет базовую ставку и спред флоатера.
+ * Параметры с листа MOEX_Floaters важнее; без них ставка определяется по коду и названию
+ * бумаги (ОФЗ-ПК SU29… — RUONIA; "RUONIA", "КС", "ключ" в названии), а спред — как разница
+ * ставки последнего объявленного купона и базовой ставки на начало его периода.
+ * @param {Object} schedule - График из parseBondSchedule.
+ * @param {string} ticker - Тикер облигации.
+ * @return {{rateName: string, spread: number | null, rate: number | null} | null} -
+ *   Название ставки (колонка MOEX_Rates), спред в п.п. (null, если определить не удалось),
+ *   прогноз ставки или null, если бумага не флоатер.
+ */
+function findFloaterTerms(schedule, ticker) {
+  const config = loadFloaterConfig()[normalizeTicker(ticker)] || {};
+  const rateName = config.rateName || detectReferenceRate(ticker);
+  if (!rateName) {
+    return null;
+  }
+
+  let spread = typeof config.spread === 'number' ? config.spread : null;
+  if (spread === null) {
+    const lastFixed = schedule.coupons
+      .filter((c) => isKnownCouponValue(c.value) && c.valuePrc !== null && c.startDate)
+      .pop();
+    const fixedRate = lastFixed ? getRateOn(rateName, lastFixed.startDate) : null;
+    spread = fixedRate === null ? null : lastFixed.valuePrc - fixedRate;
+  }
+
+  return { rateName, spread, rate: typeof config.rate === 'number' ? config.rate : null };
+}
+
+/**
+ * Определяет базовую ставку флоатера по коду и названию бумаги.
+ * @param {string} ticker - Тикер облигации.
+ * @return {string | null} - 'RUONIA', 'KEYRATE' или null, если определить не удалось.
+ */
+function detectReferenceRate(ticker) {
+  const snapshot = fetchBondSnapshot(ticker);
+  if (snapshot instanceof MoexError) {
+    return null;
+  }
+
+  const { SECID: secid, SECNAME: secName, SHORTNAME: shortName } = snapshot.securities;
+  return detectReferenceRateByName(secid, `${secName || ''} ${shortName || ''}`);
+}
+
+/**
+ * Определяет базовую ставку флоатера по коду и названию: ОФЗ-ПК SU29… и "RUONIA" в названии —
+ * RUONIA, "КС" или "ключ" — ключевая ставка.
+ * @param {string} secid - Код бумаги.
+ * @param {string} name - Полное и краткое наименование бумаги.
+ * @return {string | null} - 'RUONIA', 'KEYRATE' или null, если определить не удалось.
+ */
+function detectReferenceRateByName(secid, name) {
+  if (/^SU29/i.test(secid || '') || /RUONIA|РУОНИА/i.test(name)) {
+    return 'RUONIA';
+  }
+  if (/(^|[^А-ЯЁ])КС([^А-ЯЁ]|$)|ключ/i.test(name)) {
+    return 'KEYRATE';
+  }
+  return null;
+}
+
+/**
+ * Параметры флоатеров, прочитанные в текущем выполнении (см. loadFloaterConfig)
+ */
+let floaterConfig = null;
+
+/**
+ * Читает параметры флоатеров с листа MOEX_Floaters:
+ * Тикер | Базовая ставка (KEYRATE, RUONIA, ZCYC_1…) | Спред, п.п. | Прогноз ставки, %.
+ * @return {Object<string, {rateName: string | null, spread: number | null, rate: number | null}>} -
+ *   Параметры по тикеру.
+ */
+function loadFloaterConfig() {
+  if (floaterConfig === null) {
+    floaterConfig = {};
+    const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(FLOATER_SHEET_NAME);
+    if (sheet) {
+      sheet
+        .getDataRange()
+        .getValues()
+        .slice(1)
+        .forEach(([ticker, rateName, spread, rate]) => {
+          if (String(ticker).trim() === '') {
+            return;
+          }
+          floaterConfig[normalizeTicker(ticker)] = {
+            rateName: String(rateName).trim().toUpperCase() || null,
+            spread: toNumberOrNull(spread),
+            rate: toNumberOrNull(rate),
+          };
+        });
+    }
+  }
+  return floaterConfig;
+}
+
+/**
+ * Ряды базовых ставок, прочитанные в текущем выполнении (см. loadRateSeries)
+ */
+let rateSeries = null;
+
+/**
+ * Читает ряды ставок с листа MOEX_Rates: первая колонка — дата, остальные — ставки
+ * в % годовых, в заголовке — название ставки (KEYRATE, RUONIA, ZCYC_1…).
+ * В ряд можно вносить и будущие даты — это прогноз ставки.
+ * @return {Object<string, Array<{date: Date, value: number}>>} - Ряды по названию, по возрастанию даты.
+ */
+function loadRateSeries() {
+  if (rateSeries === null) {
+    rateSeries = {};
+    const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(RATES_SHEET_NAME);
+    const values = sheet ? sheet.getDataRange().getValues() : [];
+    const header = (values[0] || []).map((h) => String(h).trim().toUpperCase());
+    header.forEach((name, col) => {
+      if (col === 0 || name === '') {
+        return;
+      }
+      rateSeries[name] = values
+        .slice(1)
+        .map((row) => ({ date: toDateOrNull(row[0]), value: toNumberOrNull(row[col]) }))
+        .filter((p) => p.date && p.value !== null)
+        .sort((a, b) => a.date - b.date);
+    });
+  }
+  return rateSeries;
+}
+
+/**
+ * Возвращает значение ставки, действующее на дату: из ряда на листе MOEX_Rates (после последней
+ * даты ряда — последнее значение), а для ZCYC_n без ряда — доходность G-кривой MOEX на срок
+ * n лет (см. getZcycRateOn).
+ * @param {string} rateName - Название ставки (колонка MOEX_Rates).
+ * @param {Date} date - Дата.
+ * @return {number | null} - Ставка в % годовых или null, если данных нет или дата раньше начала ряда.
+ */
+function getRateOn(rateName, date) {
+  if (!date) {
+    return null;
+  }
+  const series = loadRateSeries()[rateName];
+  if (!series && ZCYC_RATE_PATTERN.test(rateName)) {
+    return getZcycRateOn(rateName, date);
+  }
+  let value = null;
+  (series || []).forEach((p) => {
+    if (p.date <= date) {
+      value = p.value;
+    }
+  });
+  return value;
+}
+
+/**
+ * Возвращает доходность G-кривой MOEX на срок, заданный в названии ставки (ZCYC_3 — 3 года).
+ * Для прошедшей даты берется кривая последнего торгового дня не позже нее, для будущей —
+ * текущая кривая, как последнее значение ряда на листе MOEX_Rates.
+ * @param {string} rateName - Название ставки (ZCYC_n).
+ * @param {Date} date - Дата.
+ * @return {number | null} - Доходность в % годовых или null, если кривую загрузить не удалось.
+ */
+function getZcycRateOn(rateName, date) {
+  const term = parseFloat(rateName.match(ZCYC_RATE_PATTERN)[1].replace(',', '.'));
+  if (!(term > 0)) {
+    return null;
+  }
+  const curveDate = date < getToday() ? adjustToTradingDay(date, 'preceding') : getToday();
+  const params = fetchZcycParams(curveDate);
+  if (params instanceof MoexError) {
+    logMoexError(params, rateName);
+    return null;
+  }
+  return calcGCurveYield(params, term);
+}
+
+/**
+ * Кастомная функция для ячейки. Возвращает БУДУЩИЕ КУПОНЫ облигации с пометкой,
+ * объявлен купон или рассчитан прогнозно. Для флоатеров необъявленные купоны считаются
+ * по базовой ставке и спреду (листы MOEX_Floaters и MOEX_Rates).
+ * @param {string} ticker ISIN или Торговый код облигации (например, "RU000A105DH9").
+ * @param {number} [n] Количество ближайших купонов. По умолчанию — все будущие.
+ * @param {string} [currency] Валюта сумм (например, "RUB"). По умолчанию — валюта номинала.
+ * @return {Array<Array<*>>} Таблица: дата, сумма, ставка в % годовых, статус, валюта.
+ * @customfunction
+ */
+function GET_PROJECTED_COUPON(ticker, n, currency) {
+  return runCustomFunction(ticker, () => {
+    if (!ticker || ticker.trim() === '') {
+      return null;
+    }
+    const count = n ? parseInt(n, 10) : null;
+    if (n && !(count > 0)) {
+      return new MoexError('BAD_ARG', 'Некорректное количество купонов');
+    }
+
+    const schedule = loadBondSchedule(ticker);
+    if (schedule instanceof MoexError) {
+      return schedule;
+    }
+    const fx = getBondFxRate(ticker, currency);
+    if (fx instanceof MoexError) {
+      return fx;
+    }
+
+    const today = getToday();
+    const values = fillCouponValues(schedule.coupons);
+    const rows = [];
+    schedule.coupons.forEach((c, i) => {
+      if (c.date < today || (values[i] === null && !c.floating)) {
+        return;
+      }
+      const fixed = isKnownCouponValue(c.value);
+      const rate = fixed ? c.valuePrc : c.projectedRate;
+      let status = fixed ? 'fixed' : 'estimated';
+      if (values[i] === null) {
+        status = 'unknown';
+      }
+      rows.push([
+        c.date,
+        values[i] === null ? '' : values[i] * fx.rate,
+        typeof rate === 'number' ? rate : '',
+        COUPON_STATUS_LABELS[status],
+        fx.currency,
+      ]);
+    });
+
+    if (rows.length === 0) {
+      return new MoexError('NO_DATA', 'Нет предстоящих купонов');
+    }
+    const header = ['Дата', 'Сумма', 'Ставка, %', 'Статус', 'Валюта'];
+    return [header].concat(count ? rows.slice(0, count) : rows);
+  });
+}
+
+/**
+ * Создает листы MOEX_Floaters и MOEX_Rates с заголовками, если их еще нет.
+ */
+function setupFloaterSheets() {
+  const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+  const templates = [
+    [FLOATER_SHEET_NAME, ['Тикер', 'Базовая ставка', 'Спред, п.п.', 'Прогноз ставки, %']],
+    [RATES_SHEET_NAME, ['Дата', 'KEYRATE', 'RUONIA']],
+  ];
+
+  const created = [];
+  templates.forEach(([name, header]) => {
+    if (spreadsheet.getSheetByName(name)) {
+      return;
+    }
+    const sheet = spreadsheet.insertSheet(name);
+    sheet.getRange(1, 1, 1, header.length).setValues([header]);
+    sheet.setFrozenRows(1);
+    created.push(name);
+  });
+
+  spreadsheet.toast(
+    created.length > 0 ? `Созданы листы: ${created.join(', ')}` : 'Листы уже существуют',
+    'MOEX',
+    5
+  );
+}
+
+/**
+ * Строит будущие денежные потоки по облигации: купоны и выплаты номинала после даты расчетов.
+ * Если задан горизонт (оферта), потоки обрываются на его дате, а остаток номинала
+ * выплачивается по цене горизонта.
+ * @param {Object} schedule - График из parseBondSchedule.
+ * @param {Date} settlementDate - Дата расчетов.
+ * @param {{date: Date, price: number}} [horizon] - Дата и цена (в % от номинала) досрочного выкупа.
+ * @return {Array<{date: Date, amount: number}> | MoexError} - Потоки по датам или MoexError.
+ */
+function buildCashFlows(schedule, settlementDate, horizon) {
+  const flowsByTime = {};
+  const addFlow = (date, amount) => {
+    const key = date.getTime();
+    flowsByTime[key] = (flowsByTime[key] || 0) + amount;
+  };
+  const isInHorizon = (date) => date > settlementDate && (!horizon || date <= horizon.date);
+
+  const couponValues = fillCouponValues(schedule.coupons);
+  for (let i = 0; i < schedule.coupons.length; i++) {
+    const c = schedule.coupons[i];
+    if (isInHorizon(c.date)) {
+      if (couponValues[i] === null) {
+        return new MoexError('NO_DATA', 'Купон не определен');
+      }
+      addFlow(c.date, couponValues[i]);
+    }
+  }
+
+  schedule.amortizations.forEach((a) => {
+    if (isInHorizon(a.date) && a.value !== null) {
+      addFlow(a.date, a.value);
+    }
+  });
+
+  if (horizon) {
+    const remainingFace = getOutstandingFaceValue(schedule, horizon.date);
+    if (remainingFace) {
+      addFlow(horizon.date, (remainingFace * horizon.price) / 100);
+    }
+  }
+
+  const flows = Object.keys(flowsByTime)
+    .map((key) => ({ date: new Date(Number(key)), amount: flowsByTime[key] }))
+    .sort((a, b) => a.date - b.date);
+
+  if (flows.length === 0) {
+    return new MoexError('NO_DATA', 'Нет будущих выплат');
+  }
+  return flows;
+}
+
+/**
+ * Возвращает непогашенный номинал облигации на дату расчетов:
+ * сумму амортизаций и погашения, которые еще предстоят.
+ * @param {Object} schedule - График из parseBondSchedule.
+ * @param {Date} settlementDate - Дата расчетов.
+ * @return {number | null} - Номинал в валюте номинала или null.
+ */
+function getOutstandingFaceValue(schedule, settlementDate) {
+  const future = schedule.amortizations.filter((a) => a.date > settlementDate && a.value !== null);
+  if (future.length > 0) {
+    return future.reduce((sum, a) => sum + a.value, 0);
+  }
+  const nextCoupon = schedule.coupons.find((c) => c.date > settlementDate);
+  return nextCoupon ? nextCoupon.faceValue : null;
+}
+
+/**
+ * Рассчитывает НКД на дату расчетов пропорционально прошедшей части купонного периода.
+ * @param {Object} schedule - График из parseBondSchedule.
+ * @param {Date} settlementDate - Дата расчетов.
+ * @return {number} - НКД в валюте номинала (0, если купонный период не найден).
+ */
+function calcAccruedInterest(schedule, settlementDate) {
+  const couponValues = fillCouponValues(schedule.coupons);
+  for (let i = 0; i < schedule.coupons.length; i++) {
+    const c = schedule.coupons[i];
+    if (c.date <= settlementDate) {
+      continue;
+    }
+    const startDate = c.startDate || (i > 0 ? schedule.coupons[i - 1].date : null);
+    if (!startDate || startDate > settlementDate || couponValues[i] === null) {
+      return 0;
+    }
+    return (couponValues[i] * (settlementDate - startDate)) / (c.date - startDate);
+  }
+  return 0;
+}
+
+/**
+ * Находит эффективную годовую доходность, при которой дисконтированные потоки равны цене.
+ * Используется метод бисекции, т.к. приведенная стоимость монотонно убывает по доходности.
+ * @param {Array<{date: Date, amount: number}>} flows - Будущие денежные потоки.
+ * @param {Date} settlementDate - Дата расчетов.
+ * @param {number} dirtyPrice - Грязная цена (с НКД) в валюте номинала.
+ * @return {number | null} - Доходность (доля, 0.12 = 12%) или null, если решения нет.
+ */
+function solveYield(flows, settlementDate, dirtyPrice) {
+  const presentValue = (rate) =>
+    flows.reduce(
+      (sum, f) => sum + f.amount / Math.pow(1 + rate, (f.date - settlementDate) / MS_PER_YEAR),
+      0
+    );
+
+  let low = -0.99;
+  let high = 100;
+  if (presentValue(low) < dirtyPrice || presentValue(high) > dirtyPrice) {
+    return null;
+  }
+
+  for (let i = 0; i < 200; i++) {
+    const mid = (low + high) / 2;
+    if (presentValue(mid) > dirtyPrice) {
+      low = mid;
+    } else {
+      high = mid;
+    }
+    if (high - low < 1e-10) {
+      break;
+    }
+  }
+  return (low + high) / 2;
+}
+
+/**
+ * Рассчитывает доходность и дисконтированные потоки облигации по графику платежей и чистой цене.
+ * @param {Object} schedule - График из parseBondSchedule.
+ * @param {number} cleanPrice - Чистая цена в процентах от номинала.
+ * @param {Date} settlementDate - Дата расчетов.
+ * @param {{date: Date, price: number}} [horizon] - Оферта, к которой ведется расчет.
+ * @return {{rate: number, flows: Object[], dirtyPrice: number, settlementDate: Date} | MoexError} -
+ *   Доходность (доля), потоки и грязная цена или MoexError.
+ */
+function calcBondMetrics(schedule, cleanPrice, settlementDate, horizon) {
+  const flows = buildCashFlows(schedule, settlementDate, horizon);
+  if (flows instanceof MoexError) {
+    return flows;
+  }
+
+  const faceValue = getOutstandingFaceValue(schedule, settlementDate);
+  if (!faceValue) {
+    return new MoexError('NO_DATA', 'Номинал не определен');
+  }
+
+  const dirtyPrice = (cleanPrice / 100) * faceValue + calcAccruedInterest(schedule, settlementDate);
+  const rate = solveYield(flows, settlementDate, dirtyPrice);
+  if (rate === null) {
+    return new MoexError('CALC', 'Доходность не рассчитана');
+  }
+  return { rate, flows, dirtyPrice, settlementDate };
+}
+
+/**
+ * Рассчитывает доходность по графику платежей и чистой цене к погашению или к оферте.
+ * @param {Object} schedule - График из parseBondSchedule.
+ * @param {number} cleanPrice - Чистая цена в процентах от номинала.
+ * @param {Date} settlementDate - Дата расчетов.
+ * @param {{date: Date, price: number}} [horizon] - Оферта, к которой ведется расчет.
+ * @return {number | MoexError} - Доходность в процентах годовых или MoexError.
+ */
+function calcBondYield(schedule, cleanPrice, settlementDate, horizon) {
+  const metrics = calcBondMetrics(schedule, cleanPrice, settlementDate, horizon);
+  if (metrics instanceof MoexError) {
+    return metrics;
+  }
+  return metrics.rate * 100;
+}
+
+/**
+ * Кастомная функция для ячейки. Возвращает ЭФФЕКТИВНУЮ ДОХОДНОСТЬ облигации по тикеру.
+ * Считается по полному графику купонов и амортизаций (bondization), как XIRR.
+ * Если у бумаги есть колл-опцион, по умолчанию доходность считается к ближайшему коллу:
+ * доходность к погашению для нее не имеет смысла.
+ * @param {string} ticker ISIN или Торговый код облигации (например, "SU26227RMFS7").
+ * @param {number} [price] Чистая цена в % от номинала. По умолчанию — текущая цена MOEX.
+ * @param {string} [to] "auto" (по умолчанию) — к коллу, если он есть, иначе к погашению;
+ *   "maturity" — к погашению; "offer" — к ближайшей оферте; "put" — к пут-оферте; "call" — к коллу.
+ * @return {number} Доходность в процентах годовых.
+ * @customfunction
+ */
+function GET_BOND_YTM(ticker, price, to) {
+  return runCustomFunction(ticker, () => {
+    if (!ticker || ticker.trim() === '') {
+      return null;
+    }
+
+    const horizon = String(to || 'auto')
+      .trim()
+      .toLowerCase();
+    const allowedHorizons = ['auto', 'maturity', 'offer', 'put', 'call'];
+    if (!allowedHorizons.includes(horizon)) {
+      return new MoexError(
+        'BAD_ARG',
+        `Неизвестный горизонт: ${to}. Допустимо: ${allowedHorizons.join(', ')}`
+      );
+    }
+
+    const hasPrice = price !== null && typeof price !== 'undefined' && price !== '';
+    const cacheKey = buildCacheKey('ytm', ticker, horizon, hasPrice ? price : null);
+    const cached = cacheGet(cacheKey);
+    if (cached !== null) {
+      return cached;
+    }
+
+    const result = fetchBondYieldInternal(ticker, hasPrice ? parseFloat(price) : null, horizon);
+
+    // Кэшируем только успешный расчет: с текущей ценой — как торговые данные, с заданной — до конца дня
+    if (typeof result === 'number') {
+      cachePut(cacheKey, result, getCacheTtl(hasPrice ? 'daily' : 'market'));
+    }
+
+    return result;
+  });
+}
+
+/**
+ * Внутренняя функция для расчета доходности.
+ * Если запрошенной оферты нет, возвращается NO_DATA (см. findHorizon).
+ * @param {string} ticker - ISIN или код бумаги.
+ * @param {number | null} price - Чистая цена в % от номинала или null для текущей цены MOEX.
+ * @param {string} to - 'auto', 'maturity', 'offer', 'put' или 'call'.
+ * @return {number | MoexError} - Доходность в процентах годовых или MoexError.
+ */
+function fetchBondYieldInternal(ticker, price, to) {
+  const cleanPrice = price !== null ? price : fetchSinglePriceInternal(ticker);
+  if (cleanPrice instanceof MoexError) {
+    return cleanPrice;
+  }
+  if (isNaN(cleanPrice)) {
+    return new MoexError('BAD_ARG', 'Некорректная цена');
+  }
+
+  const schedule = loadBondSchedule(ticker);
+  if (schedule instanceof MoexError) {
+    return schedule;
+  }
+
+  const settlementDate = getSettlementDate();
+  const horizon = findHorizon(schedule, settlementDate, to);
+  if (horizon instanceof MoexError) {
+    return horizon;
+  }
+  return calcBondYield(schedule, cleanPrice, settlementDate, horizon);
+}
+
+/**
+ * Выбирает горизонт расчета доходности и дюрации.
+ * Явно запрошенная оферта ('offer', 'put', 'call') обязательна: без нее возвращается ошибка,
+ * чтобы ячейка не показала доходность к погашению вместо доходности к оферте.
+ * @param {Object} schedule - График из parseBondSchedule.
+ * @param {Date} settlementDate - Дата расчетов.
+ * @param {string} to - 'auto' (колл, если есть), 'maturity', 'offer', 'put' или 'call'.
+ * @return {{date: Date, price: number} | null | MoexError} - Оферта, null для расчета
+ *   к погашению или MoexError, если запрошенной оферты нет.
+ */
+function findHorizon(schedule, settlementDate, to) {
+  if (to === 'maturity') {
+    return null;
+  }
+  if (to === 'auto') {
+    return findOfferHorizon(schedule, settlementDate, 'call');
+  }
+
+  const horizon = findOfferHorizon(schedule, settlementDate, to === 'offer' ? undefined : to);
+  if (!horizon) {
+    return new MoexError(
+      'NO_DATA',
+      to === 'offer' ? 'Нет будущих оферт' : `Нет будущих оферт вида ${to}`
+    );
+  }
+  return horizon;
+}
+
+/**
+ * Приводит дату из ячейки к дате без времени.
+ * @param {Date | string} value - Значение из ячейки.
+ * @return {Date | null} - Дата или null, если значение не является датой.
+ */
+function toDateOrNull(value) {
+  if (!value) {
+    return null;
+  }
+  let date;
+  if (value instanceof Date) {
+    date = new Date(value.getTime());
+  } else if (/^\d{4}-\d{2}-\d{2}/.test(String(value))) {
+    date = parseIssDate(String(value)) || new Date(NaN);
+  } else {
+    date = new Date(value);
+  }
+  if (isNaN(date.getTime())) {
+    return null;
+  }
+  date.setHours(0, 0, 0, 0);
+  return date;
+}
+
+/**
+ * Кастомная функция для ячейки. Возвращает НАКОПЛЕННЫЙ КУПОННЫЙ ДОХОД (НКД) по тикеру.
+ * Без даты берется текущий НКД MOEX (ACCRUEDINT), с датой — рассчитывается по купонному периоду.
+ * @param {string} ticker ISIN или Торговый код облигации (например, "SU26227RMFS7").
+ * @param {Date} [settlementDate] Дата расчетов. По умолчанию — текущий НКД MOEX.
+ * @param {string} [currency] Валюта результата (например, "RUB"). По умолчанию — валюта номинала.
+ * @return {number} НКД на одну облигацию.
+ * @customfunction
+ */
+function GET_ACCRUED_INTEREST(ticker, settlementDate, currency) {
+  return runCustomFunction(ticker, () => {
+    if (!ticker || ticker.trim() === '') {
+      return null;
+    }
+
+    let date = null;
+    if (settlementDate) {
+      date = toDateOrNull(settlementDate);
+      if (!date) {
+        return new MoexError('BAD_ARG', 'Некорректная дата');
+      }
+    }
+
+    const cacheKey = buildCacheKey('accrued', ticker, date ? formatIssDate(date) : null);
+    const cached = cacheGet(cacheKey);
+    if (cached !== null) {
+      return convertBondAmount(ticker, cached, currency);
+    }
+
+    const result = fetchAccruedInterestInternal(ticker, date);
+
+    // Кэшируем только успешный результат до конца дня, т.к. НКД меняется раз в день
+    if (typeof result === 'number') {
+      cachePut(cacheKey, result, getCacheTtl('daily'));
+    }
+
+    return convertBondAmount(ticker, result, currency);
+  });
+}
+
+/**
+ * Внутренняя функция для получения НКД.
+ * @param {string} ticker - ISIN или код бумаги.
+ * @param {Date | null} settlementDate - Дата расчетов или null для текущего НКД MOEX.
+ * @return {number | MoexError} - НКД или MoexError.
+ */
+function fetchAccruedInterestInternal(ticker, settlementDate) {
+  if (!settlementDate) {
+    const snapshot = fetchBondSnapshot(ticker);
+    if (snapshot instanceof MoexError) {
+      return snapshot;
+    }
+    const accrued = toNumberOrNull(snapshot.securities.ACCRUEDINT);
+    if (accrued !== null) {
+      return accrued;
+    }
+  }
+
+  // Если MOEX не отдал НКД или нужна другая дата, считаем по купонному периоду
+  const schedule = loadBondSchedule(ticker);
+  if (schedule instanceof MoexError) {
+    return schedule;
+  }
+  return calcAccruedInterest(schedule, settlementDate || getSettlementDate());
+}
+
+/**
+ * Кастомная функция для ячейки. Возвращает ГРЯЗНУЮ ЦЕНУ облигации (цена + НКД) по тикеру.
+ * Переводит цену в % от номинала (GET_MOEX_PRICE) в сумму, уплачиваемую за одну облигацию.
+ * @param {string} ticker ISIN или Торговый код облигации (например, "SU26227RMFS7").
+ * @param {string} [currency] Валюта результата (например, "RUB"). По умолчанию — валюта номинала.
+ * @return {number} Цена одной облигации с НКД.
+ * @customfunction
+ */
+function GET_DIRTY_PRICE(ticker, currency) {
+  return runCustomFunction(ticker, () => {
+    if (!ticker || ticker.trim() === '') {
+      return null;
+    }
+
+    return convertBondAmount(ticker, fetchDirtyPriceInternal(ticker), currency);
+  });
+}
+
+/**
+ * Внутренняя функция для расчета грязной цены.
+ * @param {string} ticker - Торговый код бумаги.
+ * @return {number | MoexError} - Цена с НКД или MoexError.
+ */
+function fetchDirtyPriceInternal(ticker) {
+  const price = fetchSinglePriceInternal(ticker);
+  if (price instanceof MoexError) {
+    return price;
+  }
+
+  const snapshot = fetchBondSnapshot(ticker);
+  const faceValue = toNumberOrNull(snapshot.securities.FACEVALUE);
+  if (faceValue === null) {
+    return new MoexError('NO_DATA', 'Номинал не найден');
+  }
+
+  return (price / 100) * faceValue + (toNumberOrNull(snapshot.securities.ACCRUEDINT) || 0);
+}
+
+/**
+ * Кастомная функция для ячейки. Возвращает НЕПОГАШЕННЫЙ НОМИНАЛ облигации:
+ * первоначальный номинал за вычетом уже выплаченных амортизаций.
+ * @param {string} ticker ISIN или Торговый код облигации (например, "RU000A105DH9").
+ * @param {Date} [date] Дата, на которую нужен номинал. По умолчанию — сегодня.
+ * @param {string} [currency] Валюта результата (например, "RUB"). По умолчанию — валюта номинала.
+ * @return {number} Номинал одной облигации.
+ * @customfunction
+ */
+function GET_FACE_VALUE(ticker, date, currency) {
+  return runCustomFunction(ticker, () => {
+    if (!ticker || ticker.trim() === '') {
+      return null;
+    }
+
+    let onDate = getToday();
+    if (date) {
+      onDate = toDateOrNull(date);
+      if (!onDate) {
+        return new MoexError('BAD_ARG', 'Некорректная дата');
+      }
+    }
+
+    return convertBondAmount(ticker, fetchFaceValueInternal(ticker, onDate), currency);
+  });
+}
+
+/**
+ * Внутренняя функция для получения непогашенного номинала.
+ * Номинал берется из графика амортизаций; если графика нет, — текущий номинал MOEX (FACEVALUE).
+ * Для ОФЗ-ИН возвращается индексированный номинал (см. fetchIndexedNominalInternal).
+ * @param {string} ticker - ISIN или код бумаги.
+ * @param {Date} date - Дата, на которую нужен номинал.
+ * @return {number | MoexError} - Номинал или MoexError.
+ */
+function fetchFaceValueInternal(ticker, date) {
+  const schedule = loadBondSchedule(ticker);
+  if (schedule instanceof MoexError) {
+    return schedule;
+  }
+  if (isInflationLinked(schedule.secid, schedule.name)) {
+    return fetchIndexedNominalInternal(ticker, date);
+  }
+
+  const faceValue = getOutstandingFaceValue(schedule, date);
+  if (faceValue !== null) {
+    return faceValue;
+  }
+
+  const snapshot = fetchBondSnapshot(ticker);
+  if (snapshot instanceof MoexError) {
+    return snapshot;
+  }
+  const currentFaceValue = toNumberOrNull(snapshot.securities.FACEVALUE);
+  if (currentFaceValue === null) {
+    return new MoexError('NO_DATA', 'Номинал не найден');
+  }
+  return currentFaceValue;
+}
+
+/**
+ * Кастомная функция для ячейки. Возвращает ИНДЕКСИРОВАННЫЙ НОМИНАЛ ОФЗ-ИН (серия 52xxx):
+ * номинал, проиндексированный на инфляцию. Цена ОФЗ-ИН указывается в % от него.
+ * @param {string} ticker ISIN или Торговый код облигации (например, "SU52002RMFS1").
+ * @param {Date} [date] Дата. По умолчанию — текущий номинал MOEX.
+ * @return {number} Индексированный номинал одной облигации в рублях.
+ * @customfunction
+ */
+function GET_INDEXED_NOMINAL(ticker, date) {
+  return runCustomFunction(ticker, () => {
+    if (!ticker || ticker.trim() === '') {
+      return null;
+    }
+
+    const today = getToday();
+    let onDate = today;
+    if (date) {
+      onDate = toDateOrNull(date);
+      if (!onDate) {
+        return new MoexError('BAD_ARG', 'Некорректная дата');
+      }
+    }
+
+    const cacheKey = buildCacheKey('indexed_nominal', ticker, formatIssDate(onDate));
+    const cached = cacheGet(cacheKey);
+    if (cached !== null) {
+      return cached;
+    }
+
+    const result = fetchIndexedNominalInternal(ticker, onDate);
+
+    // Номинал за прошедший день не меняется, текущий индексируется раз в день
+    if (typeof result === 'number') {
+      cachePut(cacheKey, result, getCacheTtl(onDate < today ? 'static' : 'daily'));
+    }
+
+    return result;
+  });
+}
+
+/**
+ * Внутренняя функция для получения индексированного номинала.
+ * На сегодня и будущие даты берется текущий номинал MOEX (FACEVALUE), на прошедшие — из истории
+ * торгов (последний торговый день за две недели до даты).
+ * @param {string} ticker - ISIN или код бумаги.
+ * @param {Date} date - Дата.
+ * @return {number | MoexError} - Номинал или MoexError.
+ */
+function fetchIndexedNominalInternal(ticker, date) {
+  const snapshot = fetchBondSnapshot(ticker);
+  if (snapshot instanceof MoexError) {
+    return snapshot;
+  }
+  if (!isInflationLinked(snapshot.securities.SECID, snapshot.securities.SECNAME)) {
+    return new MoexError('NO_DATA', 'Номинал облигации не индексируется');
+  }
+
+  if (date >= getToday()) {
+    const faceValue = toNumberOrNull(snapshot.securities.FACEVALUE);
+    return faceValue === null ? new MoexError('NO_DATA', 'Номинал не найден') : faceValue;
+  }
+
+  const from = new Date(date.getTime());
+  from.setDate(from.getDate() - 14);
+  const rows = fetchHistoryRows(ticker, from, date);
+  if (rows instanceof MoexError) {
+    return rows;
+  }
+
+  for (let i = rows.length - 1; i >= 0; i--) {
+    const faceValue = toNumberOrNull(rows[i].FACEVALUE);
+    if (faceValue !== null) {
+      return faceValue;
+    }
+  }
+  return new MoexError('NO_DATA', 'Нет торгов за период');
+}
+
+/**
+ * Кастомная функция для ячейки. Возвращает СТОИМОСТЬ ПОЗИЦИИ по облигации:
+ * количество × (цена в % × непогашенный номинал + НКД).
+ * Для амортизируемых облигаций цена умножается на текущий, а не первоначальный номинал.
+ * @param {string} ticker ISIN или Торговый код облигации (например, "RU000A105DH9").
+ * @param {number} quantity Количество облигаций в позиции.
+ * @param {string} [currency] Валюта результата (например, "RUB"). По умолчанию — валюта номинала.
+ * @return {number} Стоимость позиции.
+ * @customfunction
+ */
+function GET_POSITION_VALUE(ticker, quantity, currency) {
+  return runCustomFunction(ticker, () => {
+    if (!ticker || ticker.trim() === '') {
+      return null;
+    }
+
+    const count = parseFloat(quantity);
+    if (isNaN(count)) {
+      return new MoexError('BAD_ARG', 'Некорректное количество');
+    }
+
+    return convertBondAmount(ticker, fetchPositionValueInternal(ticker, count), currency);
+  });
+}
+
+/**
+ * Внутренняя функция для расчета стоимости позиции.
+ * @param {string} ticker - ISIN или код бумаги.
+ * @param {number} quantity - Количество облигаций.
+ * @return {number | MoexError} - Стоимость позиции или MoexError.
+ */
+function fetchPositionValueInternal(ticker, quantity) {
+  const price = fetchSinglePriceInternal(ticker);
+  if (price instanceof MoexError) {
+    return price;
+  }
+
+  const faceValue = fetchFaceValueInternal(ticker, getToday());
+  if (faceValue instanceof MoexError) {
+    return faceValue;
+  }
+
+  const accrued = fetchAccruedInterestInternal(ticker, null);
+  if (accrued instanceof MoexError) {
+    return accrued;
+  }
+
+  return quantity * ((price / 100) * faceValue + accrued);
+}
+
+/**
+ * Возвращает ближайшую будущую оферту как горизонт расчета.
+ * @param {Object} schedule - График из parseBondSchedule.
+ * @param {Date} settlementDate - Дата расчетов.
+ * @param {string} [kind] - 'put' или 'call'; по умолчанию — оферта любого вида.
+ * @return {{date: Date, price: number} | null} - Оферта (цена по умолчанию 100%) или null.
+ */
+function findOfferHorizon(schedule, settlementDate, kind) {
+  const offer = schedule.offers.find((o) => o.date > settlementDate && (!kind || o.kind === kind));
+  if (!offer) {
+    return null;
+  }
+  return { date: offer.date, price: offer.price || 100 };
+}
+
+/**
+ * Рассчитывает дюрацию Маколея в годах.
+ * @param {Object} metrics - Результат calcBondMetrics.
+ * @return {number}
+ */
+function calcMacaulayDuration(metrics) {
+  let weighted = 0;
+  let total = 0;
+  metrics.flows.forEach((f) => {
+    const t = (f.date - metrics.settlementDate) / MS_PER_YEAR;
+    const pv = f.amount / Math.pow(1 + metrics.rate, t);
+    weighted += t * pv;
+    total += pv;
+  });
+  return weighted / total;
+}
+
+/**
+ * Рассчитывает выпуклость (в годах в квадрате) для эффективной годовой доходности.
+ * @param {Object} metrics - Результат calcBondMetrics.
+ * @return {number}
+ */
+function calcConvexity(metrics) {
+  let weighted = 0;
+  let total = 0;
+  metrics.flows.forEach((f) => {
+    const t = (f.date - metrics.settlementDate) / MS_PER_YEAR;
+    const pv = f.amount / Math.pow(1 + metrics.rate, t);
+    weighted += t * (t + 1) * pv;
+    total += pv;
+  });
+  return weighted / (total * Math.pow(1 + metrics.rate, 2));
+}
+
+/**
+ * Кастомная функция для ячейки. Возвращает ДЮРАЦИЮ облигации по тикеру (в годах).
+ * Считается по графику купонов и амортизаций (bondization) и текущей цене MOEX.
+ * @param {string} ticker ISIN или Торговый код облигации (например, "SU26227RMFS7").
+ * @param {string} [mode] "macaulay" (по умолчанию) — дюрация Маколея к погашению,
+ *   "modified" — модифицированная дюрация, "offer" — дюрация Маколея к ближайшей оферте,
+ *   "put" / "call" — дюрация Маколея к ближайшей пут-оферте / коллу.
+ * @return {number} Дюрация.
+ * @customfunction
+ */
+function GET_BOND_DURATION(ticker, mode) {
+  return runCustomFunction(ticker, () => {
+    return getBondRiskMeasure(ticker, 'duration', mode || 'macaulay');
+  });
+}
+
+/**
+ * Кастомная функция для ячейки. Возвращает ВЫПУКЛОСТЬ облигации по тикеру.
+ * @param {string} ticker ISIN или Торговый код облигации (например, "SU26227RMFS7").
+ * @param {string} [mode] "maturity" (по умолчанию) — к погашению, "offer" — к ближайшей оферте,
+ *   "put" / "call" — к ближайшей пут-оферте / коллу.
+ * @return {number} Выпуклость.
+ * @customfunction
+ */
+function GET_BOND_CONVEXITY(ticker, mode) {
+  return runCustomFunction(ticker, () => {
+    return getBondRiskMeasure(ticker, 'convexity', mode || 'maturity');
+  });
+}
+
+/**
+ * Общий обработчик GET_BOND_DURATION и GET_BOND_CONVEXITY: проверка аргументов и кэш.
+ * @param {string} ticker - ISIN или код бумаги.
+ * @param {string} measure - 'duration' или 'convexity'.
+ * @param {string} mode - Вариант расчета.
+ * @return {number | MoexError | null} - Значение или MoexError.
+ */
+function getBondRiskMeasure(ticker, measure, mode) {
+  if (!ticker || ticker.trim() === '') {
+    return null;
+  }
+
+  const normalizedMode = String(mode).trim().toLowerCase();
+  const allowedModes =
+    measure === 'duration'
+      ? ['macaulay', 'modified', 'offer', 'put', 'call']
+      : ['maturity', 'offer', 'put', 'call'];
+  if (!allowedModes.includes(normalizedMode)) {
+    return new MoexError(
+      'BAD_ARG',
+      `Неизвестный режим: ${mode}. Допустимо: ${allowedModes.join(', ')}`
+    );
+  }
+
+  const cacheKey = buildCacheKey(measure, ticker, normalizedMode);
+  const cached = cacheGet(cacheKey);
+  if (cached !== null) {
+    return cached;
+  }
+
+  const result = fetchBondRiskInternal(ticker, measure, normalizedMode);
+
+  // Кэшируем только успешный расчет как торговые данные, т.к. результат зависит от цены
+  if (typeof result === 'number') {
+    cachePut(cacheKey, result, getCacheTtl('market'));
+  }
+
+  return result;
+}
+
+/**
+ * Внутренняя функция для расчета дюрации или выпуклости.
+ * Если у облигации нет будущих оферт нужного вида, расчет к оферте возвращает NO_DATA.
+ * @param {string} ticker - ISIN или код бумаги.
+ * @param {string} measure - 'duration' или 'convexity'.
+ * @param {string} mode - 'macaulay', 'modified', 'maturity', 'offer', 'put' или 'call'.
+ * @return {number | MoexError} - Значение или MoexError.
+ */
+function fetchBondRiskInternal(ticker, measure, mode) {
+  const cleanPrice = fetchSinglePriceInternal(ticker);
+  if (cleanPrice instanceof MoexError) {
+    return cleanPrice;
+  }
+
+  const schedule = loadBondSchedule(ticker);
+  if (schedule instanceof MoexError) {
+    return schedule;
+  }
+
+  const settlementDate = getSettlementDate();
+  const horizon = ['offer', 'put', 'call'].includes(mode)
+    ? findHorizon(schedule, settlementDate, mode)
+    : null;
+  if (horizon instanceof MoexError) {
+    return horizon;
+  }
+  const metrics = calcBondMetrics(schedule, cleanPrice, settlementDate, horizon);
+  if (metrics instanceof MoexError) {
+    return metrics;
+  }
+
+  if (measure === 'convexity') {
+    return calcConvexity(metrics);
+  }
+  const duration = calcMacaulayDuration(metrics);
+  return mode === 'modified' ? duration / (1 + metrics.rate) : duration;
+}
+
+/**
+ * Объединяет купоны, амортизации, погашение и оферты в единый список событий.
+ * Для каждого события указывается остаток номинала после него.
+ * @param {Object} schedule - График из parseBondSchedule.
+ * @param {Date} fromDate - События раньше этой даты отбрасываются.
+ * @return {Array<{date: Date, type: string, amount: number | null, faceValue: number | null}>} -
+ *   События по возрастанию даты (type: coupon, amortization, offer, maturity);
+ *   у купонов признак estimated — размер еще не объявлен и рассчитан прогнозно.
+ */
+function buildBondEvents(schedule, fromDate) {
+  const events = [];
+
+  const couponValues = fillCouponValues(schedule.coupons);
+  schedule.coupons.forEach((c, i) => {
+    events.push({
+      date: c.date,
+      type: 'coupon',
+      amount: couponValues[i],
+      estimated: !isKnownCouponValue(c.value),
+    });
+  });
+  schedule.amortizations.forEach((a) => {
+    events.push({
+      date: a.date,
+      type: a.isMaturity ? 'maturity' : 'amortization',
+      amount: a.value,
+    });
+  });
+  schedule.offers.forEach((o) => {
+    events.push({ date: o.date, type: 'offer', kind: o.kind, amount: null });
+  });
+
+  // В один день купон выплачивается раньше номинала, оферта идет последней
+  const order = ['coupon', 'amortization', 'maturity', 'offer'];
+  const future = events
+    .filter((e) => e.date >= fromDate)
+    .sort((a, b) => a.date - b.date || order.indexOf(a.type) - order.indexOf(b.type));
+
+  let faceValue = getOutstandingFaceValue(schedule, new Date(fromDate.getTime() - 1));
+  future.forEach((e) => {
+    if ((e.type === 'amortization' || e.type === 'maturity') && faceValue !== null) {
+      faceValue = Math.max(0, faceValue - (e.amount || 0));
+    }
+    e.faceValue = faceValue;
+  });
+  return future;
+}
+
+/**
+ * Возвращает статус купона из buildBondEvents (ключ COUPON_STATUS_LABELS).
+ * @param {Object} event - Событие-купон.
+ * @return {string} - 'fixed', 'estimated' или 'unknown' (прогноз без данных о ставке).
+ */
+function getCouponStatus(event) {
+  if (!event.estimated) {
+    return 'fixed';
+  }
+  return event.amount === null ? 'unknown' : 'estimated';
+}
+
+/**
+ * Кастомная функция для ячейки. Возвращает ГРАФИК БУДУЩИХ ПЛАТЕЖЕЙ по облигации.
+ * Результат занимает несколько строк: дата, тип события (купон, амортизация, оферта,
+ * погашение), сумма на одну облигацию, остаток номинала после события, статус купона
+ * (зафиксирован или прогноз) и валюта сумм.
+ * @param {string} ticker ISIN или Торговый код облигации (например, "SU26227RMFS7").
+ * @param {string} [currency] Валюта сумм (например, "RUB"). По умолчанию — валюта номинала.
+ * @return {Array<Array<*>>} Таблица событий с заголовком.
+ * @customfunction
+ */
+function GET_BOND_CASHFLOWS(ticker, currency) {
+  return runCustomFunction(ticker, () => {
+    if (!ticker || ticker.trim() === '') {
+      return null;
+    }
+
+    const events = fetchBondCashflows(ticker);
+    if (events instanceof MoexError) {
+      return events;
+    }
+    if (events.length === 0) {
+      return new MoexError('NO_DATA', 'Нет предстоящих выплат');
+    }
+    const fx = getBondFxRate(ticker, currency);
+    if (fx instanceof MoexError) {
+      return fx;
+    }
+
+    const header = ['Дата', 'Тип', 'Сумма', 'Остаток номинала', 'Статус купона', 'Валюта'];
+    const rows = events.map((e) => [
+      new Date(e.date),
+      e.type === 'offer'
+        ? `${EVENT_TYPE_LABELS.offer} (${OFFER_TYPE_LABELS[e.kind].toLowerCase()})`
+        : EVENT_TYPE_LABELS[e.type],
+      e.amount === null ? '' : e.amount * fx.rate,
+      e.faceValue === null ? '' : e.faceValue * fx.rate,
+      e.type === 'coupon' ? COUPON_STATUS_LABELS[getCouponStatus(e)] : '',
+      fx.currency,
+    ]);
+    return [header].concat(rows);
+  });
+}
+
+/**
+ * Возвращает график будущих платежей с кэшированием до конца дня, т.к. в него входят
+ * только события начиная с сегодня. Даты событий из кэша приходят строками.
+ * @param {string} ticker - ISIN или код бумаги.
+ * @return {Object[] | MoexError} - События из buildBondEvents или MoexError.
+ */
+function fetchBondCashflows(ticker) {
+  const cacheKey = buildCacheKey('cashflows', ticker);
+  const cached = cacheGet(cacheKey);
+  if (cached !== null) {
+    return cached;
+  }
+
+  const events = fetchBondCashflowsInternal(ticker);
+  if (!(events instanceof MoexError)) {
+    cachePut(cacheKey, events, getCacheTtl('daily'));
+  }
+  return events;
+}
+
+/**
+ * Внутренняя функция для получения графика будущих платежей.
+ * @param {string} ticker - ISIN или код бумаги.
+ * @return {Object[] | MoexError} - События из buildBondEvents или MoexError.
+ */
+function fetchBondCashflowsInternal(ticker) {
+  const schedule = loadBondSchedule(ticker);
+  if (schedule instanceof MoexError) {
+    return schedule;
+  }
+  return buildBondEvents(schedule, getToday());
+}
+
+/**
+ * Форматирует дату для параметров запросов ISS.
+ * @param {Date} date - Дата.
+ * @return {string} - Строка 'YYYY-MM-DD'.
+ */
+function formatIssDate(date) {
+  return Utilities.formatDate(date, Session.getScriptTimeZone(), 'yyyy-MM-dd');
+}
+
+/**
+ * Проверяет, что дата приходится на будний день.
+ * @param {Date} date - Дата.
+ * @return {boolean}
+ */
+function isWeekday(date) {
+  return date.getDay() !== 0 && date.getDay() !== 6;
+}
+
+/**
+ * Загружает торговые дни MOEX за год по истории индекса облигаций TRADING_CALENDAR_SECID.
+ * История есть только по прошедшим дням, поэтому текущий год кэшируется до полуночи.
+ * @param {number} year - Год.
+ * @return {Object<string, boolean> | MoexError} - Торговые дни ('YYYY-MM-DD') или MoexError.
+ */
+function fetchTradingDays(year) {
+  const cacheKey = buildCacheKey('calendar', TRADING_CALENDAR_SECID, year);
+  let dates = cacheGet(cacheKey);
+  if (dates === null) {
+    // В году не больше 260 торговых дней, ISS отдает историю страницами по 100 строк
+    const baseUrl =
+      `https://iss.moex.com/iss/history/engines/stock/markets/index/securities/` +
+      `${TRADING_CALENDAR_SECID}.json?iss.meta=off&iss.only=history&history.columns=TRADEDATE` +
+      `&from=${year}-01-01&till=${year}-12-31`;
+    const pages = fetchIssJsonAll([0, 100, 200].map((start) => `${baseUrl}&start=${start}`));
+    dates = [];
+    for (let i = 0; i < pages.length; i++) {
+      if (pages[i] instanceof MoexError) {
+        return pages[i];
+      }
+      dates.push(...issBlockToObjects(pages[i].history).map((r) => r.TRADEDATE));
+    }
+    if (dates.length === 0) {
+      return new MoexError('NO_DATA', `Нет торговых дней MOEX за ${year} год`);
+    }
+    const isPastYear = year < getToday().getFullYear();
+    cachePut(cacheKey, dates, getCacheTtl(isPastYear ? 'static' : 'daily'));
+  }
+
+  const days = {};
+  dates.forEach((d) => {
+    days[d] = true;
+  });
+  return days;
+}
+
+/**
+ * Проверяет, торговался ли (будет ли торговаться) день на рынке облигаций MOEX.
+ * Прошедшие дни сверяются с календарем из ISS, включая праздники и рабочие субботы.
+ * Для сегодняшнего и будущих дней расписания в ISS нет — они проверяются по расписанию
+ * (см. isScheduledTradingDay).
+ * @param {Date} date - Дата без времени.
+ * @return {boolean}
+ */
+function isTradingDay(date) {
+  if (date >= getToday()) {
+    return isScheduledTradingDay(date);
+  }
+  const year = date.getFullYear();
+  if (!(year in tradingDaysByYear)) {
+    // Ошибка тоже запоминается, чтобы не повторять запросы к ISS в этом выполнении
+    tradingDaysByYear[year] = fetchTradingDays(year);
+    if (tradingDaysByYear[year] instanceof MoexError) {
+      logMoexError(tradingDaysByYear[year], TRADING_CALENDAR_SECID);
+    }
+  }
+
+  const days = tradingDaysByYear[year];
+  if (days instanceof MoexError) {
+    return isScheduledTradingDay(date);
+  }
+  return days[formatIssDate(date)] === true;
+}
+
+/**
+ * Проверяет день по расписанию биржи: будний день, не ежегодный праздник
+ * (MOEX_FIXED_HOLIDAYS), с учетом переносов с листа MOEX_Holidays.
+ * @param {Date} date - Дата без времени.
+ * @return {boolean}
+ */
+function isScheduledTradingDay(date) {
+  const key = formatIssDate(date);
+  const overrides = loadHolidayOverrides();
+  if (Object.prototype.hasOwnProperty.call(overrides, key)) {
+    return overrides[key];
+  }
+  return isWeekday(date) && !MOEX_FIXED_HOLIDAYS.includes(key.slice(5));
+}
+
+/**
+ * Читает лист MOEX_Holidays: Дата | Торги ("Да" — биржа торгует в выходной,
+ * иначе день неторговый).
+ * @return {Object<string, boolean>} - Признак торгов по дате 'YYYY-MM-DD'.
+ */
+function loadHolidayOverrides() {
+  if (holidayOverrides === null) {
+    holidayOverrides = {};
+    const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(HOLIDAYS_SHEET_NAME);
+    if (sheet) {
+      sheet
+        .getDataRange()
+        .getValues()
+        .slice(1)
+        .forEach(([value, trading]) => {
+          const date = toDateOrNull(value);
+          if (date) {
+            holidayOverrides[formatIssDate(date)] = String(trading).trim().toLowerCase() === 'да';
+          }
+        });
+    }
+  }
+  return holidayOverrides;
+}
+
+/**
+ * Сдвигает дату на торговый день, если она выпадает на выходной или праздник.
+ * @param {Date} date - Дата без времени.
+ * @param {string} [convention='following'] - 'following' (следующий торговый день)
+ *   или 'preceding' (предыдущий).
+ * @return {Date} - Торговый день.
+ */
+function adjustToTradingDay(date, convention) {
+  const result = new Date(date.getTime());
+  return isTradingDay(result)
+    ? result
+    : stepTradingDay(result, convention === 'preceding' ? -1 : 1);
+}
+
+/**
+ * Прибавляет к дате заданное число торговых дней (отрицательное — вычитает).
+ * @param {Date} date - Дата без времени.
+ * @param {number} days - Число торговых дней.
+ * @return {Date}
+ */
+function addTradingDays(date, days) {
+  let result = new Date(date.getTime());
+  for (let i = 0; i < Math.abs(days); i++) {
+    result = stepTradingDay(result, days < 0 ? -1 : 1);
+  }
+  return result;
+}
+
+/**
+ * Возвращает ближайший торговый день после (или до) даты. Если за TRADING_CALENDAR_MAX_GAP
+ * дней торгового дня не нашлось, календарь ISS неполон — берется ближайший день
+ * по расписанию (см. isScheduledTradingDay).
+ * @param {Date} date - Дата без времени.
+ * @param {number} step - 1 (вперед) или -1 (назад).
+ * @return {Date}
+ */
+function stepTradingDay(date, step) {
+  const result = new Date(date.getTime());
+  for (let i = 0; i < TRADING_CALENDAR_MAX_GAP; i++) {
+    result.setDate(result.getDate() + step);
+    if (isTradingDay(result)) {
+      return result;
+    }
+  }
+
+  const fallback = new Date(date.getTime());
+  do {
+    fallback.setDate(fallback.getDate() + step);
+  } while (!isScheduledTradingDay(fallback));
+  return fallback;
+}
+
+/**
+ * Возвращает дату расчетов по сделке в режиме T+1. Сделка в неторговый день
+ * переносится на ближайший торговый.
+ * @param {Date} [tradeDate] - Дата сделки, по умолчанию сегодня.
+ * @return {Date} - Дата расчетов.
+ */
+function getSettlementDate(tradeDate) {
+  return addTradingDays(adjustToTradingDay(tradeDate || getToday()), SETTLEMENT_LAG_DAYS);
+}
+
+/**
+ * Возвращает дату фиксации реестра для купона: из ISS, а если ее нет —
+ * торговый день перед датой выплаты.
+ * @param {Object} coupon - Купон из parseBondSchedule.
+ * @return {Date} - Дата фиксации реестра.
+ */
+function getRecordDate(coupon) {
+  return coupon.recordDate || addTradingDays(coupon.date, -1);
+}
+
+/**
+ * Загружает историю торгов облигацией за период в режиме торгов из снимка бумаги.
+ * ISS отдает историю страницами: первая страница сообщает общее число строк (history.cursor),
+ * остальные страницы (start=) запрашиваются параллельно. Если страниц больше HISTORY_MAX_PAGES,
+ * возвращается ошибка, а не усеченная история.
+ * @param {string} ticker - Торговый код, ISIN или наименование бумаги.
+ * @param {Date} from - Начало периода.
+ * @param {Date} till - Конец периода.
+ * @return {Object[] | MoexError} - Строки истории по возрастанию даты или MoexError.
+ */
+function fetchHistoryRows(ticker, from, till) {
+  const snapshot = fetchBondSnapshot(ticker);
+  if (snapshot instanceof MoexError) {
+    return snapshot;
+  }
+
+  const { SECID: secid, BOARDID: board } = snapshot.securities;
+  const baseUrl =
+    `https://iss.moex.com/iss/history/engines/stock/markets/bonds/boards/${encodeURIComponent(board)}` +
+    `/securities/${encodeURIComponent(secid)}.json?iss.meta=off` +
+    `&from=${formatIssDate(from)}&till=${formatIssDate(till)}`;
+
+  const firstPage = fetchIssJson(`${baseUrl}&start=0`);
+  if (firstPage instanceof MoexError) {
+    return firstPage;
+  }
+
+  const rows = issBlockToObjects(firstPage.history);
+  const cursor = issBlockToObjects(firstPage['history.cursor'])[0];
+  if (!cursor || rows.length === 0) {
+    return rows;
+  }
+
+  const pageCount = Math.ceil(cursor.TOTAL / rows.length);
+  if (pageCount > HISTORY_MAX_PAGES) {
+    return new MoexError(
+      'LIMIT',
+      `История за период слишком длинная (${cursor.TOTAL} строк, не больше ` +
+        `${HISTORY_MAX_PAGES * rows.length}): укажите период короче`
+    );
+  }
+
+  const urls = [];
+  for (let start = rows.length; start < cursor.TOTAL; start += rows.length) {
+    urls.push(`${baseUrl}&start=${start}`);
+  }
+
+  const pages = fetchIssJsonAll(urls);
+  for (let i = 0; i < pages.length; i++) {
+    if (pages[i] instanceof MoexError) {
+      return pages[i];
+    }
+    rows.push(...issBlockToObjects(pages[i].history));
+  }
+  return rows;
+}
+
+/**
+ * Кастомная функция для ячейки. Возвращает ЦЕНУ ЗАКРЫТИЯ облигации на дату.
+ * Если в этот день торгов не было, берется последняя цена за предыдущие две недели.
+ * @param {string} ticker Торговый код облигации (например, "SU26227RMFS7").
+ * @param {Date} date Дата оценки.
+ * @return {number} Цена в % от номинала.
+ * @customfunction
+ */
+function GET_MOEX_PRICE_ON(ticker, date) {
+  return runCustomFunction(ticker, () => {
+    if (!ticker || ticker.trim() === '') {
+      return null;
+    }
+    const onDate = toDateOrNull(date);
+    if (!onDate) {
+      return new MoexError('BAD_ARG', 'Некорректная дата');
+    }
+
+    const cacheKey = buildCacheKey('price_on', ticker, formatIssDate(onDate));
+    const cached = cacheGet(cacheKey);
+    if (cached !== null) {
+      return cached;
+    }
+
+    const result = fetchPriceOnDateInternal(ticker, onDate);
+
+    // Цена за прошедший день не меняется: кэшируем на 6 часов, за сегодня — как торговые данные
+    if (typeof result === 'number') {
+      cachePut(cacheKey, result, getCacheTtl(onDate < getToday() ? 'static' : 'market'));
+    }
+
+    return result;
+  });
+}
+
+/**
+ * Внутренняя функция для получения цены закрытия на дату.
+ * @param {string} ticker - Торговый код бумаги.
+ * @param {Date} date - Дата оценки.
+ * @return {number | MoexError} - Цена или MoexError.
+ */
+function fetchPriceOnDateInternal(ticker, date) {
+  const from = new Date(date.getTime());
+  from.setDate(from.getDate() - 14);
+
+  const rows = fetchHistoryRows(ticker, from, date);
+  if (rows instanceof MoexError) {
+    return rows;
+  }
+
+  for (let i = rows.length - 1; i >= 0; i--) {
+    const price = rows[i].CLOSE ?? rows[i].LEGALCLOSEPRICE ?? rows[i].WAPRICE;
+    if (price !== null && typeof price !== 'undefined') {
+      return parseFloat(price);
+    }
+  }
+  return new MoexError('NO_DATA', 'Нет торгов за период');
+}
+
+/**
+ * Кастомная функция для ячейки. Возвращает ИСТОРИЮ ТОРГОВ облигацией за период.
+ * Результат занимает несколько строк: заголовок с названиями полей ISS и строка на каждый день.
+ * @param {string} ticker Торговый код облигации (например, "SU26227RMFS7").
+ * @param {Date} from Начало периода.
+ * @param {Date} till Конец периода.
+ * @param {string[][]} [fields] Поля истории ISS. По умолчанию: TRADEDATE, CLOSE, YIELDCLOSE, VOLUME, ACCINT.
+ * @return {Array<Array<*>>} Таблица истории.
+ * @customfunction
+ */
+function GET_MOEX_HISTORY(ticker, from, till, fields) {
+  return runCustomFunction(ticker, () => {
+    if (!ticker || ticker.trim() === '') {
+      return null;
+    }
+    const fromDate = toDateOrNull(from);
+    const tillDate = toDateOrNull(till);
+    if (!fromDate || !tillDate) {
+      return new MoexError('BAD_ARG', 'Некорректная дата');
+    }
+    if (fromDate > tillDate) {
+      return new MoexError('BAD_ARG', 'Начало периода позже конца');
+    }
+
+    const requested = fields
+      ? normalizeTickerRange(fields)
+          .flat()
+          .filter((f) => f !== '')
+          .map((f) => f.toUpperCase())
+      : [];
+    const fieldList = requested.length > 0 ? requested : DEFAULT_HISTORY_FIELDS;
+
+    const rows = fetchHistoryRows(ticker, fromDate, tillDate);
+    if (rows instanceof MoexError) {
+      return rows;
+    }
+    if (rows.length === 0) {
+      return new MoexError('NO_DATA', 'Нет торгов за период');
+    }
+
+    const missingField = fieldList.find((f) => !(f in rows[0]));
+    if (missingField) {
+      return new MoexError('NO_DATA', `Поле ${missingField} отсутствует`);
+    }
+
+    return [fieldList].concat(rows.map((r) => fieldList.map((f) => formatIssValue(r[f]))));
+  });
+}
+
+/**
+ * Кастомная функция для ячейки. Возвращает ДАТУ РАСЧЕТОВ по сделке с облигацией (T+1)
+ * с учетом выходных и праздников MOEX.
+ * @param {Date} [tradeDate] Дата сделки. По умолчанию — сегодня.
+ * @return {Date} Дата расчетов.
+ * @customfunction
+ */
+function GET_SETTLEMENT_DATE(tradeDate) {
+  return runCustomFunction(null, () => {
+    let onDate = getToday();
+    if (tradeDate) {
+      onDate = toDateOrNull(tradeDate);
+      if (!onDate) {
+        return new MoexError('BAD_ARG', 'Некорректная дата');
+      }
+    }
+
+    return getSettlementDate(onDate);
+  });
+}
+
+/**
+ * Кастомная функция для ячейки. Возвращает ДАТУ ФИКСАЦИИ РЕЕСТРА для ближайшего купона.
+ * Чтобы получить купон, бумагу нужно купить не позднее торгового дня перед этой датой (T+1).
+ * @param {string} ticker ISIN или Торговый код облигации (например, "SU26227RMFS7").
+ * @return {Date} Дата фиксации реестра.
+ * @customfunction
+ */
+function GET_RECORD_DATE(ticker) {
+  return runCustomFunction(ticker, () => {
+    if (!ticker || ticker.trim() === '') {
+      return null;
+    }
+
+    const schedule = loadBondSchedule(ticker);
+    if (schedule instanceof MoexError) {
+      return schedule;
+    }
+
+    const today = getToday();
+    const recordDate = schedule.coupons
+      .filter((c) => c.date >= today)
+      .map(getRecordDate)
+      .find((d) => d >= today);
+    if (!recordDate) {
+      return new MoexError('NO_DATA', 'Нет предстоящих купонов');
+    }
+    return recordDate;
+  });
+}
+
+/**
+ * Кастомная функция для ячейки. Возвращает КУРС ВАЛЮТЫ по котировкам валютного рынка MOEX.
+ * Курс берется по инструменту "завтра" (TOM); если сделок нет (например, по USD и EUR),
+ * используется индикативный курс MOEX. Кросс-курсы считаются через рубль.
+ * @param {string} pair Валюта или пара: "USD", "CNYRUB", "EUR/USD".
+ * @param {Date} [date] Дата курса. По умолчанию — текущий.
+ * @return {number} Стоимость единицы первой валюты во второй (по умолчанию — в рублях).
+ * @customfunction
+ */
+function GET_MOEX_FX(pair, date) {
+  return runCustomFunction(pair, () => {
+    if (!pair || String(pair).trim() === '') {
+      return null;
+    }
+
+    const codes = String(pair)
+      .toUpperCase()
+      .replace(/[^A-Z]/g, '');
+    const base = normalizeCurrency(codes.slice(0, 3));
+    const quote = codes.length === 3 ? 'RUB' : normalizeCurrency(codes.slice(3));
+    if (!base || !quote || codes.length > 6) {
+      return new MoexError('BAD_ARG', `Некорректная валютная пара: ${pair}`);
+    }
+
+    let onDate = getToday();
+    if (date) {
+      onDate = toDateOrNull(date);
+      if (!onDate) {
+        return new MoexError('BAD_ARG', 'Некорректная дата');
+      }
+    }
+
+    return getFxCrossRate(base, quote, onDate);
+  });
+}
+
+/**
+ * Кастомная функция для ячейки. Возвращает ВАЛЮТУ облигации: валюту номинала (FACEUNIT),
+ * в которой выражены купоны, НКД и номинал, и валюту расчетов по сделкам (CURRENCYID).
+ * @param {string} ticker ISIN или Торговый код облигации (например, "RU000A105DH9").
+ * @return {Array<Array<string>>} Строка: валюта номинала, валюта расчетов.
+ * @customfunction
+ */
+function GET_BOND_CURRENCY(ticker) {
+  return runCustomFunction(ticker, () => {
+    if (!ticker || ticker.trim() === '') {
+      return null;
+    }
+
+    const snapshot = fetchBondSnapshot(ticker);
+    if (snapshot instanceof MoexError) {
+      return snapshot;
+    }
+    const { FACEUNIT: faceUnit, CURRENCYID: currencyId } = snapshot.securities;
+    return [[normalizeCurrency(faceUnit) || 'RUB', normalizeCurrency(currencyId) || 'RUB']];
+  });
+}
+
+/**
+ * Приводит код валюты к трехбуквенному виду; рубль в ISS обозначается SUR.
+ * @param {string} value - Код валюты.
+ * @return {string | null} - Код валюты (RUB вместо SUR/RUR) или null, если код некорректен.
+ */
+function normalizeCurrency(value) {
+  const code = String(value || '')
+    .trim()
+    .toUpperCase();
+  if (code === 'SUR' || code === 'RUR') {
+    return 'RUB';
+  }
+  return /^[A-Z]{3}$/.test(code) ? code : null;
+}
+
+/**
+ * Переводит сумму по облигации из валюты номинала в заданную валюту по текущему курсу.
+ * @param {string} ticker - Тикер облигации.
+ * @param {number | MoexError} amount - Сумма в валюте номинала.
+ * @param {string} [currency] - Валюта результата; без нее сумма возвращается как есть.
+ * @return {number | MoexError} - Сумма в заданной валюте или MoexError.
+ */
+function convertBondAmount(ticker, amount, currency) {
+  if (!currency || typeof amount !== 'number') {
+    return amount;
+  }
+  const fx = getBondFxRate(ticker, currency);
+  return fx instanceof MoexError ? fx : amount * fx.rate;
+}
+
+/**
+ * Возвращает курс пересчета сумм облигации из валюты номинала в заданную валюту.
+ * @param {string} ticker - Тикер облигации.
+ * @param {string} [currency] - Валюта результата. По умолчанию — валюта номинала (курс 1).
+ * @return {{rate: number, currency: string} | MoexError} - Курс и валюта результата или MoexError.
+ */
+function getBondFxRate(ticker, currency) {
+  const target = currency ? normalizeCurrency(currency) : null;
+  if (currency && !target) {
+    return new MoexError('BAD_ARG', `Некорректная валюта: ${currency}`);
+  }
+
+  const snapshot = fetchBondSnapshot(ticker);
+  if (snapshot instanceof MoexError) {
+    return snapshot;
+  }
+  const source = normalizeCurrency(snapshot.securities.FACEUNIT) || 'RUB';
+  if (!target || target === source) {
+    return { rate: 1, currency: source };
   }
 
-  ui.alert(`Найдено ${targetCells.length} ячеек. Начинаю обновление...`, ui.ButtonSet.OK);
-  SpreadsheetApp.getActiveSpreadsheet().toast(`Обновление ${targetCells.length} ячеек...`);
-
-  targetCells.forEach((cell) => {
-    const originalFormula = cell.getFormula();
-    cell.clearContent();
-    SpreadsheetApp.flush();
-    cell.setFormula(originalFormula);
-    Utilities.sleep(DELAY_MS);
-  });
-
-  SpreadsheetApp.getActiveSpreadsheet().toast('Обновление данных завершено!', 'Готово', 5);
+  const rate = getFxCrossRate(source, target, getToday());
+  return rate instanceof MoexError ? rate : { rate, currency: target };
 }
 
 /**
- * Внутренняя функция для получения данных. Возвращает цену или текст ошибки.
- * Версия 9.0: анализирует ОБА блока данных (marketdata и securities) для максимальной надежности.
- * @param {string} ticker - Торговый код бумаги.
- * @return {number | string} - Цена или текстовая ошибка.
+ * Возвращает кросс-курс двух валют через их курсы к рублю.
+ * @param {string} base - Валюта, курс которой нужен.
+ * @param {string} quote - Валюта, в которой выражен курс.
+ * @param {Date} date - Дата курса.
+ * @return {number | MoexError} - Курс или MoexError.
  */
-function fetchSinglePriceInternal(ticker) {
-  const url = `https://iss.moex.com/iss/engines/stock/markets/bonds/securities/${encodeURIComponent(
-    ticker
-  )}.json?iss.meta=off`;
-  try {
-    const response = UrlFetchApp.fetch(url, { muteHttpExceptions: true });
-    if (response.getResponseCode() !== 200) {
-      return `Ошибка API: ${response.getResponseCode()}`;
-    }
-    const data = JSON.parse(response.getContentText());
-
-    // Проверяем наличие ключевых блоков данных
-    if (
-      !data.marketdata ||
-      !data.securities ||
-      !data.marketdata.data ||
-      !data.securities.data ||
-      data.marketdata.data.length === 0 ||
-      data.securities.data.length === 0
-    ) {
-      return `Тикер не найден или API вернул неполные данные`;
-    }
-
-    // Извлекаем данные из ОБЕИХ секций
-    const marketdataColumns = data.marketdata.columns;
-    const marketdataRow = data.marketdata.data[0];
-    const securitiesColumns = data.securities.columns;
-    const securitiesRow = data.securities.data[0];
-
-    // Ищем цену в порядке приоритета по обоим блокам
-    const price =
-      marketdataRow[marketdataColumns.indexOf('LAST')] ??
-      marketdataRow[marketdataColumns.indexOf('CLOSEPRICE')] ??
-      securitiesRow[securitiesColumns.indexOf('PREVLEGALCLOSEPRICE')] ??
-      securitiesRow[securitiesColumns.indexOf('PREVPRICE')];
-
-    if (price === null || typeof price === 'undefined') {
-      return 'Цена не найдена'; // Если ни одного значения не нашлось
-    }
-
-    return parseFloat(price);
-  } catch (e) {
-    return 'Ошибка скрипта';
+function getFxCrossRate(base, quote, date) {
+  if (base === quote) {
+    return 1;
+  }
+  const baseRate = base === 'RUB' ? 1 : fetchFxRate(base, date);
+  if (baseRate instanceof MoexError) {
+    return baseRate;
   }
+  const quoteRate = quote === 'RUB' ? 1 : fetchFxRate(quote, date);
+  if (quoteRate instanceof MoexError) {
+    return quoteRate;
+  }
+  return baseRate / quoteRate;
 }
 
 /**
- * Кастомная функция для ячейки. Возвращает ДАТУ СЛЕДУЮЩЕГО КУПОНА по тикеру.
- * @param {string} ticker Торговый код облигации (например, "ОФЗ 26227").
- * @return {Date | string} Дата следующего купона или текстовое описание ошибки.
- * @customfunction
+ * Возвращает курс валюты к рублю на дату с кэшированием: за прошедшие дни — на 6 часов,
+ * текущий — как торговые данные.
+ * @param {string} currency - Код валюты.
+ * @param {Date} date - Дата курса.
+ * @return {number | MoexError} - Курс в рублях или MoexError.
  */
-function GET_NEXT_COUPON(ticker) {
-  if (!ticker || ticker.trim() === '') {
-    return null;
+function fetchFxRate(currency, date) {
+  const isPast = date < getToday();
+  const cacheKey = buildCacheKey('fx', currency, isPast ? formatIssDate(date) : null);
+  const cached = cacheGet(cacheKey);
+  if (cached !== null) {
+    return cached;
   }
 
-  // Используем кэш, чтобы не запрашивать одни и те же данные слишком часто
-  const cache = CacheService.getScriptCache();
-  const cacheKey = ticker + '_coupon'; // Уникальный ключ для кэша купонов
-  const cached = cache.get(cacheKey);
-  if (cached !== null) {
-    // Если дата в кэше, преобразуем ее обратно в объект Date
-    const cachedValue = JSON.parse(cached);
-    return cachedValue ? new Date(cachedValue) : 'Нет данных';
+  const rate = fetchFxRateInternal(currency, date, isPast);
+  if (typeof rate === 'number') {
+    cachePut(cacheKey, rate, getCacheTtl(isPast ? 'static' : 'market'));
+  }
+  return rate;
+}
+
+/**
+ * Загружает курс валюты к рублю: текущий — из торгов SELT (LAST, WAPRICE или цена предыдущего дня),
+ * на прошедшую дату — из истории торгов (последний торговый день за две недели до даты).
+ * Если сделок нет, берется индикативный курс MOEX за тот же период.
+ * @param {string} currency - Код валюты.
+ * @param {Date} date - Дата курса.
+ * @param {boolean} isPast - Дата в прошлом.
+ * @return {number | MoexError} - Курс в рублях или MoexError.
+ */
+function fetchFxRateInternal(currency, date, isPast) {
+  const instrument = FX_INSTRUMENTS[currency];
+  if (!instrument) {
+    return new MoexError('BAD_ARG', `Курс ${currency} не поддерживается`);
   }
 
-  const result = fetchNextCouponInternal(ticker);
+  const from = new Date(date.getTime());
+  from.setDate(from.getDate() - 14);
+  const period = `&from=${formatIssDate(from)}&till=${formatIssDate(date)}`;
+  const seltUrl = isPast
+    ? `https://iss.moex.com/iss/history/engines/currency/markets/selt/boards/CETS/securities/${instrument}.json?iss.meta=off${period}`
+    : `https://iss.moex.com/iss/engines/currency/markets/selt/boards/CETS/securities/${instrument}.json?iss.meta=off&iss.only=securities,marketdata`;
 
-  // Кэшируем результат на 6 часов (21600 секунд), т.к. дата купона меняется редко
-  cache.put(cacheKey, JSON.stringify(result), 21600);
+  const data = fetchIssJson(seltUrl);
+  if (data instanceof MoexError) {
+    return data;
+  }
 
-  // Если результат - дата, возвращаем ее как объект Date
-  if (result instanceof Date) {
-    return result;
+  let rate = null;
+  if (isPast) {
+    const rows = issBlockToObjects(data.history);
+    for (let i = rows.length - 1; i >= 0 && rate === null; i--) {
+      rate = toNumberOrNull(rows[i].CLOSE) || toNumberOrNull(rows[i].WAPRICE);
+    }
+  } else {
+    const market = issBlockToObjects(data.marketdata)[0] || {};
+    const security = issBlockToObjects(data.securities)[0] || {};
+    rate =
+      toNumberOrNull(market.LAST) ||
+      toNumberOrNull(market.WAPRICE) ||
+      toNumberOrNull(security.PREVWAPRICE) ||
+      toNumberOrNull(security.PREVPRICE);
   }
-  // Если результат - текст ошибки, возвращаем его
-  return result;
+  if (rate) {
+    return rate;
+  }
+
+  // Торги парой приостановлены или не велись: берем индикативный курс
+  const indicative = fetchIssJson(
+    `https://iss.moex.com/iss/statistics/engines/futures/markets/indicativerates/securities/${currency}/RUB.json?iss.meta=off${period}`
+  );
+  if (indicative instanceof MoexError) {
+    return indicative;
+  }
+  const rates = issBlockToObjects(indicative.securities);
+  const last = rates.length > 0 ? toNumberOrNull(rates[rates.length - 1].rate) : null;
+  return last || new MoexError('NO_DATA', `Нет курса ${currency} за период`);
 }
 
 /**
- * Внутренняя функция для получения данных о следующем купоне.
- * @param {string} ticker - Торговый код бумаги.
- * @return {Date | string} - Объект Date или текстовая ошибка.
+ * Кастомная функция для ячейки. Возвращает ДОХОДНОСТЬ ПО КРИВОЙ ОФЗ (G-кривая, ZCYC MOEX)
+ * для заданного срока. Кривая считается по параметрам MOEX (формула Нельсона — Сигеля — Свенссона
+ * с поправочными слагаемыми по методике Банка России).
+ * @param {number} tenorYears Срок в годах (например, 2,5).
+ * @param {Date} [date] Дата кривой. По умолчанию — последняя рассчитанная MOEX.
+ * @return {number} Бескупонная доходность в % годовых.
+ * @customfunction
  */
-function fetchNextCouponInternal(ticker) {
-  const url = `https://iss.moex.com/iss/engines/stock/markets/bonds/securities/${encodeURIComponent(
-    ticker
-  )}.json?iss.meta=off`;
-  try {
-    const response = UrlFetchApp.fetch(url, { muteHttpExceptions: true });
-    if (response.getResponseCode() !== 200) {
-      return `Ошибка API: ${response.getResponseCode()}`;
+function GET_GCURVE_YIELD(tenorYears, date) {
+  return runCustomFunction(null, () => {
+    const tenor = parseFloat(tenorYears);
+    if (!(tenor > 0 && tenor <= GCURVE_MAX_TENOR)) {
+      return new MoexError(
+        'BAD_ARG',
+        `Срок должен быть больше 0 и не больше ${GCURVE_MAX_TENOR} лет`
+      );
     }
-    const data = JSON.parse(response.getContentText());
 
-    // Данные о купоне лежат в блоке 'securities'
-    if (
-      !data.securities ||
-      !data.securities.columns ||
-      !data.securities.data ||
-      data.securities.data.length === 0
-    ) {
-      return `Тикер не найден`;
+    let onDate = getToday();
+    if (date) {
+      onDate = toDateOrNull(date);
+      if (!onDate) {
+        return new MoexError('BAD_ARG', 'Некорректная дата');
+      }
     }
 
-    const columns = data.securities.columns;
-    const row = data.securities.data[0];
+    const params = fetchZcycParams(onDate);
+    if (params instanceof MoexError) {
+      return params;
+    }
+    return calcGCurveYield(params, tenor);
+  });
+}
 
-    const nextCouponIndex = columns.indexOf('NEXTCOUPON');
+/**
+ * Кастомная функция для ячейки. Возвращает G-СПРЕД облигации: разницу между ее эффективной
+ * доходностью (как в GET_BOND_YTM: к коллу, если он есть, иначе к погашению) и доходностью
+ * кривой ОФЗ на срок, равный дюрации облигации.
+ * @param {string} ticker ISIN или Торговый код облигации (например, "RU000A105DH9").
+ * @return {number} Спред в базисных пунктах.
+ * @customfunction
+ */
+function GET_G_SPREAD(ticker) {
+  return runCustomFunction(ticker, () => {
+    if (!ticker || ticker.trim() === '') {
+      return null;
+    }
 
-    if (nextCouponIndex === -1) {
-      return 'Поле NEXTCOUPON отсутствует';
+    const cacheKey = buildCacheKey('g_spread', ticker);
+    const cached = cacheGet(cacheKey);
+    if (cached !== null) {
+      return cached;
     }
 
-    const couponDateStr = row[nextCouponIndex];
+    const result = fetchGSpreadInternal(ticker);
 
-    // Проверяем, есть ли дата купона (может не быть у бумаг в обращении или погашенных)
-    if (!couponDateStr || couponDateStr === '0000-00-00') {
-      return 'Нет предстоящих купонов';
+    // Кэшируем только успешный расчет как торговые данные, т.к. результат зависит от цены
+    if (typeof result === 'number') {
+      cachePut(cacheKey, result, getCacheTtl('market'));
     }
 
-    // Возвращаем как объект Date, чтобы Google Sheets правильно понял формат
-    return new Date(couponDateStr);
-  } catch (e) {
-    return 'Ошибка скрипта';
-  }
+    return result;
+  });
 }
 
 /**
- * Кастомная функция для ячейки. Возвращает НАИМЕНОВАНИЕ ОБЛИГАЦИИ по тикеру.
- * @param {string} ticker Торговый код облигации (например, "ОФЗ 26227").
- * @return {string} Наименование облигации или текст ошибки.
- * @customfunction
+ * Внутренняя функция для расчета G-спреда.
+ * @param {string} ticker - ISIN или код бумаги.
+ * @return {number | MoexError} - Спред в базисных пунктах или MoexError.
  */
-function GET_MOEX_NAME(ticker) {
-  if (!ticker || ticker.trim() === '') {
-    return null;
+function fetchGSpreadInternal(ticker) {
+  const cleanPrice = fetchSinglePriceInternal(ticker);
+  if (cleanPrice instanceof MoexError) {
+    return cleanPrice;
   }
 
-  const cache = CacheService.getScriptCache();
-  const cacheKey = ticker + '_name';
-  const cached = cache.get(cacheKey);
+  const schedule = loadBondSchedule(ticker);
+  if (schedule instanceof MoexError) {
+    return schedule;
+  }
+
+  const settlementDate = getSettlementDate();
+  const horizon = findHorizon(schedule, settlementDate, 'auto');
+  const metrics = calcBondMetrics(schedule, cleanPrice, settlementDate, horizon);
+  if (metrics instanceof MoexError) {
+    return metrics;
+  }
+
+  const params = fetchZcycParams(settlementDate);
+  if (params instanceof MoexError) {
+    return params;
+  }
+
+  // Срок не меньше дня: при нулевом сроке формула кривой не определена
+  const duration = Math.max(calcMacaulayDuration(metrics), 1 / 365);
+  return (metrics.rate * 100 - calcGCurveYield(params, duration)) * 100;
+}
+
+/**
+ * Загружает параметры G-кривой MOEX на дату с кэшированием: за прошедшие дни — на 6 часов,
+ * текущие — как торговые данные.
+ * @param {Date} date - Дата кривой.
+ * @return {{b1: number, b2: number, b3: number, t1: number, g: number[]} | MoexError} -
+ *   Параметры (B1–B3 и G1–G9 в базисных пунктах, T1 в годах) или MoexError.
+ */
+function fetchZcycParams(date) {
+  const isPast = date < getToday();
+  const cacheKey = buildCacheKey('zcyc', 'GCURVE', isPast ? formatIssDate(date) : null);
+  const cached = cacheGet(cacheKey);
   if (cached !== null) {
     return cached;
   }
 
-  const result = fetchBondNameInternal(ticker);
+  const data = fetchIssJson(
+    'https://iss.moex.com/iss/engines/stock/zcyc.json?iss.meta=off&iss.only=params' +
+      (isPast ? `&date=${formatIssDate(date)}` : '')
+  );
+  if (data instanceof MoexError) {
+    return data;
+  }
 
-  // Кэшируем результат на 24 часа (86400 секунд), т.к. название не меняется
-  cache.put(cacheKey, result, 86400);
+  // В течение дня кривая пересчитывается несколько раз: берем последний расчет
+  const rows = issBlockToObjects(data.params);
+  const row = rows[rows.length - 1];
+  if (!row) {
+    return new MoexError('NO_DATA', 'Нет параметров кривой на дату');
+  }
 
-  return result;
+  const params = {
+    b1: toNumberOrNull(row.B1),
+    b2: toNumberOrNull(row.B2),
+    b3: toNumberOrNull(row.B3),
+    t1: toNumberOrNull(row.T1),
+    g: [1, 2, 3, 4, 5, 6, 7, 8, 9].map((i) => toNumberOrNull(row[`G${i}`]) || 0),
+  };
+  if ([params.b1, params.b2, params.b3, params.t1].includes(null)) {
+    return new MoexError('PARSE', 'Некорректные параметры кривой');
+  }
+
+  cachePut(cacheKey, params, getCacheTtl(isPast ? 'static' : 'market'));
+  return params;
 }
 
 /**
- * Внутренняя функция для получения наименования облигации.
- * @param {string} ticker - Торговый код бумаги.
- * @return {string} - Наименование или текстовая ошибка.
+ * Рассчитывает доходность G-кривой на срок t лет:
+ * G(t) = B1 + (B2 + B3) × T1 / t × (1 − e^(−t/T1)) − B3 × e^(−t/T1) + Σ Gi × e^(−(t − ai)² / bi²),
+ * где a1 = 0, b1 = 0,6, ai+1 = ai + bi, bi+1 = 1,6 × bi. G(t) — непрерывно начисляемая ставка
+ * в базисных пунктах, доходность = e^(G / 10000) − 1.
+ * @param {Object} params - Параметры из fetchZcycParams.
+ * @param {number} t - Срок в годах.
+ * @return {number} - Доходность в % годовых.
  */
-function fetchBondNameInternal(ticker) {
-  const url = `https://iss.moex.com/iss/engines/stock/markets/bonds/securities/${encodeURIComponent(
-    ticker
-  )}.json?iss.meta=off`;
-  try {
-    const response = UrlFetchApp.fetch(url, { muteHttpExceptions: true });
-    if (response.getResponseCode() !== 200) {
-      return `Ошибка API: ${response.getResponseCode()}`;
-    }
-    const data = JSON.parse(response.getContentText());
-
-    if (
-      !data.securities ||
-      !data.securities.columns ||
-      !data.securities.data ||
-      data.securities.data.length === 0
-    ) {
-      return `Тикер не найден`;
-    }
+function calcGCurveYield(params, t) {
+  const decay = Math.exp(-t / params.t1);
+  let g = params.b1 + ((params.b2 + params.b3) * params.t1 * (1 - decay)) / t - params.b3 * decay;
 
-    const columns = data.securities.columns;
-    const row = data.securities.data[0];
+  let a = 0;
+  let b = 0.6;
+  params.g.forEach((gi) => {
+    g += gi * Math.exp(-Math.pow(t - a, 2) / Math.pow(b, 2));
+    a += b;
+    b *= 1.6;
+  });
 
-    // Пробуем найти SECNAME (полное наименование) или SHORTNAME (краткое)
-    const secNameIndex = columns.indexOf('SECNAME');
-    const shortNameIndex = columns.indexOf('SHORTNAME');
+  return (Math.exp(g / 10000) - 1) * 100;
+}
 
-    let name = null;
-    if (secNameIndex !== -1) {
-      name = row[secNameIndex];
-    }
-    if (!name && shortNameIndex !== -1) {
-      name = row[shortNameIndex];
-    }
+/**
+ * Подбирает облигации по параметрам с листа MOEX_Screener.
+ * Списки режимов торгов загружаются целиком (один запрос на режим), отобранные бумаги
+ * записываются на лист "Подбор облигаций" вместе с формулой GET_MOEX_TABLE.
+ * Если листа параметров нет, он создается с пустыми значениями.
+ */
+function runBondScreener() {
+  const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+  const configSheet = spreadsheet.getSheetByName(SCREENER_SHEET_NAME);
+  if (!configSheet) {
+    const sheet = spreadsheet.insertSheet(SCREENER_SHEET_NAME);
+    const rows = [['Параметр', 'Значение', 'Пояснение']].concat(
+      SCREENER_PARAMS.map(([, label, hint]) => [label, '', hint])
+    );
+    sheet.getRange(1, 1, rows.length, 3).setValues(rows);
+    sheet.setFrozenRows(1);
+    spreadsheet.setActiveSheet(sheet);
+    spreadsheet.toast(
+      'Заполните параметры на листе MOEX_Screener и снова выберите "Подбор облигаций"',
+      'MOEX',
+      10
+    );
+    return;
+  }
 
-    if (!name) {
-      return 'Наименование не найдено';
-    }
+  const filters = loadScreenerFilters(configSheet);
+  if (filters instanceof MoexError) {
+    spreadsheet.toast(filters.message, 'MOEX', 10);
+    return;
+  }
 
-    return name;
-  } catch (e) {
-    return 'Ошибка скрипта';
+  spreadsheet.toast(`Загружаю списки облигаций: ${filters.boards.join(', ')}...`, 'MOEX', 5);
+  const listings = fetchBoardListings(filters.boards);
+  if (listings instanceof MoexError) {
+    logMoexError(listings, null);
+    spreadsheet.toast(listings.message, 'MOEX', 10);
+    return;
   }
+
+  const found = listings
+    .filter((bond) => matchesScreenerFilters(bond, filters))
+    .sort((a, b) => (b.yield || 0) - (a.yield || 0));
+  const sheet = writeScreenerResults(spreadsheet, found.slice(0, SCREENER_MAX_RESULTS));
+  spreadsheet.setActiveSheet(sheet);
+
+  const shown =
+    found.length > SCREENER_MAX_RESULTS
+      ? `, показаны ${SCREENER_MAX_RESULTS} с наибольшей доходностью`
+      : '';
+  spreadsheet.toast(`Найдено облигаций: ${found.length}${shown}`, 'MOEX', 10);
 }
 
 /**
- * Кастомная функция для ячейки. Возвращает РАЗМЕР СЛЕДУЮЩЕГО КУПОНА по тикеру.
- * @param {string} ticker Торговый код облигации (например, "ОФЗ 26227").
- * @return {number | string} Размер следующего купона в рублях или текст ошибки.
- * @customfunction
+ * Читает параметры подбора с листа MOEX_Screener (строки ищутся по названию параметра).
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - Лист параметров.
+ * @return {Object | MoexError} - Параметры по ключам SCREENER_PARAMS (null — без ограничения) или MoexError.
  */
-function GET_COUPON_VALUE(ticker) {
-  if (!ticker || ticker.trim() === '') {
-    return null;
+function loadScreenerFilters(sheet) {
+  const byLabel = {};
+  sheet
+    .getDataRange()
+    .getValues()
+    .forEach((row) => {
+      byLabel[String(row[0]).trim().toLowerCase()] = row[1];
+    });
+
+  const raw = {};
+  SCREENER_PARAMS.forEach(([key, label]) => {
+    const value = byLabel[label.toLowerCase()];
+    raw[key] = value === null || typeof value === 'undefined' ? '' : value;
+  });
+
+  const filters = {};
+  ['yieldFrom', 'yieldTo', 'durationFrom', 'durationTo', 'minValue'].forEach((key) => {
+    filters[key] = toNumberOrNull(raw[key]);
+  });
+  ['maturityFrom', 'maturityTo'].forEach((key) => {
+    filters[key] = raw[key] === '' ? null : toDateOrNull(raw[key]);
+  });
+  if (
+    (raw.maturityFrom !== '' && !filters.maturityFrom) ||
+    (raw.maturityTo !== '' && !filters.maturityTo)
+  ) {
+    return new MoexError('BAD_ARG', 'Некорректная дата погашения');
   }
 
-  const cache = CacheService.getScriptCache();
-  // Changed cache key to force refresh after logic update (v3)
-  const cacheKey = ticker + '_coupon_value_v3';
-  const cached = cache.get(cacheKey);
-  if (cached !== null) {
-    return JSON.parse(cached);
+  const couponType = String(raw.couponType).trim().toLowerCase();
+  filters.couponType =
+    Object.keys(COUPON_TYPE_LABELS).find(
+      (k) => COUPON_TYPE_LABELS[k].toLowerCase() === couponType
+    ) || null;
+  if (couponType !== '' && !filters.couponType) {
+    return new MoexError('BAD_ARG', `Неизвестный тип купона: ${raw.couponType}`);
   }
 
-  const result = fetchCouponValueInternal(ticker);
+  const offer = String(raw.offer).trim().toLowerCase();
+  if (!['', 'да', 'нет'].includes(offer)) {
+    return new MoexError('BAD_ARG', 'Параметр "Оферта": укажите Да или Нет');
+  }
+  filters.offer = offer === '' ? null : offer === 'да';
 
-  // Кэшируем результат на 6 часов (21600 секунд)
-  cache.put(cacheKey, JSON.stringify(result), 21600);
+  const boards = String(raw.boards)
+    .split(/[,;\s]+/)
+    .map(normalizeBoard)
+    .filter(Boolean);
+  filters.boards = boards.length > 0 ? boards : SCREENER_DEFAULT_BOARDS;
 
-  return result;
+  return filters;
 }
 
 /**
- * Внутренняя функция для получения размера следующего купона.
- * @param {string} ticker - Торговый код бумаги.
- * @return {number | string} - Размер купона или текстовая ошибка.
+ * Загружает полные списки облигаций режимов торгов (запросы выполняются параллельно).
+ * @param {string[]} boards - Режимы торгов.
+ * @return {Object[] | MoexError} - Облигации: код, режим, доходность и дюрация MOEX, дата погашения,
+ *   наличие оферты, оборот за день в рублях и тип купона; или MoexError.
  */
-function fetchCouponValueInternal(ticker) {
-  // 1. Пытаемся получить данные из основного источника (securities)
-  const url = `https://iss.moex.com/iss/engines/stock/markets/bonds/securities/${encodeURIComponent(
-    ticker
-  )}.json?iss.meta=off`;
+function fetchBoardListings(boards) {
+  const responses = fetchIssJsonAll(
+    boards.map(
+      (board) =>
+        `https://iss.moex.com/iss/engines/stock/markets/bonds/boards/${encodeURIComponent(board)}` +
+        '/securities.json?iss.meta=off&iss.only=securities,marketdata'
+    )
+  );
 
-  try {
-    const response = UrlFetchApp.fetch(url, { muteHttpExceptions: true });
-    if (response.getResponseCode() !== 200) {
-      return `Ошибка API: ${response.getResponseCode()}`;
-    }
-    const data = JSON.parse(response.getContentText());
-
-    if (
-      !data.securities ||
-      !data.securities.columns ||
-      !data.securities.data ||
-      data.securities.data.length === 0
-    ) {
-      return `Тикер не найден`;
-    }
-
-    const columns = data.securities.columns;
-    const row = data.securities.data[0];
-    const couponValueIndex = columns.indexOf('COUPONVALUE');
-
-    if (couponValueIndex !== -1) {
-      const couponValue = row[couponValueIndex];
-      // Если значение есть и оно валидное, возвращаем его
-      // ВАЖНО: Если значение 0, считаем его отсутствующим (для флоатеров) и идем в fallback
-      if (couponValue !== null && typeof couponValue !== 'undefined') {
-        const val = parseFloat(couponValue);
-        if (val !== 0) {
-          return val;
-        }
-      }
+  const bonds = [];
+  const seen = {};
+  for (let i = 0; i < responses.length; i++) {
+    if (responses[i] instanceof MoexError) {
+      return responses[i];
     }
+    const marketdata = {};
+    issBlockToObjects(responses[i].marketdata).forEach((r) => {
+      marketdata[r.SECID] = r;
+    });
 
-    // 2. Если значение купона не найдено или равно 0, пробуем альтернативный источник (bondization)
-    return fetchCouponFromBondization(ticker);
-  } catch (e) {
-    return 'Ошибка скрипта: ' + e.message;
+    issBlockToObjects(responses[i].securities).forEach((s) => {
+      if (seen[s.SECID]) {
+        return;
+      }
+      seen[s.SECID] = true;
+      const m = marketdata[s.SECID] || {};
+      const name = `${s.SECNAME || ''} ${s.SHORTNAME || ''}`;
+      bonds.push({
+        secid: s.SECID,
+        board: s.BOARDID,
+        yield: toNumberOrNull(m.YIELD) ?? toNumberOrNull(s.YIELDATPREVWAPRICE),
+        duration: toNumberOrNull(m.DURATION),
+        matDate: parseIssDate(s.MATDATE),
+        hasOffer: [s.OFFERDATE, s.BUYBACKDATE, s.PUTOPTIONDATE, s.CALLOPTIONDATE].some(
+          parseIssDate
+        ),
+        value: toNumberOrNull(m.VALTODAY_RUR) || 0,
+        couponType: detectCouponType(s.SECID, name, `${s.BONDTYPE || ''} ${s.BONDSUBTYPE || ''}`),
+      });
+    });
   }
+  return bonds;
 }
 
 /**
- * Кастомная функция для ячейки. Возвращает ДАТУ ПОГАШЕНИЯ облигации по тикеру.
- * @param {string} ticker Торговый код облигации (например, "ОФЗ 26227").
- * @return {Date | string} Дата погашения или текстовое описание ошибки.
- * @customfunction
+ * Определяет тип купона: по виду облигации из ISS (BONDTYPE, BONDSUBTYPE), а если его нет —
+ * по коду и названию (ОФЗ-ПД, ОФЗ-ИН и флоатеры, см. isInflationLinked и detectReferenceRateByName).
+ * Отсутствие признаков флоатера в названии не означает фиксированный купон: такие бумаги
+ * получают тип 'unknown'.
+ * @param {string} secid - Код бумаги.
+ * @param {string} name - Полное и краткое наименование бумаги.
+ * @param {string} [bondType] - Вид облигации из ISS.
+ * @return {string} - 'linker', 'floater', 'fixed' или 'unknown'.
  */
-function GET_MATURITY_DATE(ticker) {
-  if (!ticker || ticker.trim() === '') {
-    return null;
+function detectCouponType(secid, name, bondType) {
+  const type = String(bondType || '').toLowerCase();
+  if (/флоат|плава|перемен/.test(type)) {
+    return 'floater';
+  }
+  if (/индекс/.test(type)) {
+    return 'linker';
+  }
+  if (/фикс|постоян/.test(type)) {
+    return 'fixed';
   }
 
-  const cache = CacheService.getScriptCache();
-  const cacheKey = ticker + '_maturity';
-  const cached = cache.get(cacheKey);
-  if (cached !== null) {
-    const cachedValue = JSON.parse(cached);
-    return cachedValue ? new Date(cachedValue) : 'Нет данных';
+  if (isInflationLinked(secid, name)) {
+    return 'linker';
   }
+  if (detectReferenceRateByName(secid, name)) {
+    return 'floater';
+  }
+  // ОФЗ-ПД (серии 24xxx–26xxx) — с постоянным купоном
+  return /^SU2[456]\d{3}/i.test(secid || '') ? 'fixed' : 'unknown';
+}
 
-  const result = fetchMaturityDateInternal(ticker);
+/**
+ * Проверяет облигацию на соответствие параметрам подбора.
+ * Бумага без доходности, дюрации или даты погашения не проходит фильтр по этому полю.
+ * Фильтр по типу купона не отсекает бумаги с неопределенным типом: в результатах
+ * они помечены "Не определен".
+ * @param {Object} bond - Облигация из fetchBoardListings.
+ * @param {Object} filters - Параметры из loadScreenerFilters.
+ * @return {boolean}
+ */
+function matchesScreenerFilters(bond, filters) {
+  const inRange = (value, from, to) =>
+    (from === null || (value !== null && value >= from)) &&
+    (to === null || (value !== null && value <= to));
 
-  // Кэшируем результат на 24 часа (86400 секунд), т.к. дата погашения не меняется
-  cache.put(cacheKey, JSON.stringify(result), 86400);
+  return (
+    inRange(bond.yield, filters.yieldFrom, filters.yieldTo) &&
+    inRange(bond.duration, filters.durationFrom, filters.durationTo) &&
+    inRange(bond.matDate, filters.maturityFrom, filters.maturityTo) &&
+    (filters.minValue === null || bond.value >= filters.minValue) &&
+    (!filters.couponType ||
+      bond.couponType === filters.couponType ||
+      bond.couponType === 'unknown') &&
+    (filters.offer === null || bond.hasOffer === filters.offer)
+  );
+}
 
-  if (result instanceof Date) {
-    return result;
+/**
+ * Записывает результаты подбора на лист "Подбор облигаций": тикер, режим и тип купона значениями,
+ * остальные колонки — одной формулой GET_MOEX_TABLE по режиму из колонки B, чтобы они
+ * обновлялись вместе с таблицей.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} spreadsheet - Таблица.
+ * @param {Object[]} bonds - Отобранные облигации.
+ * @return {GoogleAppsScript.Spreadsheet.Sheet} - Лист результатов.
+ */
+function writeScreenerResults(spreadsheet, bonds) {
+  const sheet =
+    spreadsheet.getSheetByName(SCREENER_RESULT_SHEET_NAME) ||
+    spreadsheet.insertSheet(SCREENER_RESULT_SHEET_NAME);
+  sheet.clear();
+
+  const header = [
+    'Тикер',
+    'Режим',
+    'Тип купона',
+    'Название',
+    'Цена, %',
+    'Доходность MOEX, %',
+    'Дюрация, дней',
+    'Погашение',
+    'Оферта',
+    'Купон',
+    'Следующий купон',
+  ];
+  sheet.getRange(1, 1, 1, header.length).setValues([header]);
+  sheet.setFrozenRows(1);
+  if (bonds.length === 0) {
+    return sheet;
   }
-  return result;
+
+  const lastRow = bonds.length + 1;
+  sheet
+    .getRange(2, 1, bonds.length, 3)
+    .setValues(bonds.map((b) => [b.secid, b.board, COUPON_TYPE_LABELS[b.couponType]]));
+  // Одна пакетная формула на все строки: отдельные формулы в каждой строке дали бы
+  // сотни вызовов скрипта и запросов к ISS
+  sheet
+    .getRange(2, 4)
+    .setFormula(
+      `=GET_MOEX_TABLE(A2:A${lastRow}, {"SHORTNAME","LAST","YIELD","DURATION","MATDATE",` +
+        `"OFFERDATE","COUPONVALUE","NEXTCOUPON"}, B2:B${lastRow})`
+    );
+  return sheet;
 }
 
 /**
- * Внутренняя функция для получения даты погашения облигации.
- * @param {string} ticker - Торговый код бумаги.
- * @return {Date | string} - Объект Date или текстовая ошибка.
+ * Рассчитывает портфель по листу "Сделки" и записывает отчет на лист "Портфель":
+ * позиции по лотам FIFO, реализованный и нереализованный результат, полученные купоны
+ * и амортизации, оценку НДФЛ по годам. Если листа сделок нет, он создается с заголовком.
  */
-function fetchMaturityDateInternal(ticker) {
-  const url = `https://iss.moex.com/iss/engines/stock/markets/bonds/securities/${encodeURIComponent(
-    ticker
-  )}.json?iss.meta=off`;
-  try {
-    const response = UrlFetchApp.fetch(url, { muteHttpExceptions: true });
-    if (response.getResponseCode() !== 200) {
-      return `Ошибка API: ${response.getResponseCode()}`;
-    }
-    const data = JSON.parse(response.getContentText());
+function runPortfolioReport() {
+  const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+  const tradesSheet = spreadsheet.getSheetByName(TRADES_SHEET_NAME);
+  if (!tradesSheet) {
+    const sheet = spreadsheet.insertSheet(TRADES_SHEET_NAME);
+    const header = ['Дата', 'Тикер', 'Операция', 'Количество', 'Цена, %', 'Комиссия'];
+    sheet.getRange(1, 1, 1, header.length).setValues([header]);
+    sheet.setFrozenRows(1);
+    spreadsheet.setActiveSheet(sheet);
+    spreadsheet.toast(
+      'Внесите сделки на лист "Сделки" (операция: Покупка или Продажа) и снова выберите "Рассчитать портфель"',
+      'MOEX',
+      10
+    );
+    return;
+  }
 
-    if (
-      !data.securities ||
-      !data.securities.columns ||
-      !data.securities.data ||
-      data.securities.data.length === 0
-    ) {
-      return `Тикер не найден`;
-    }
+  const trades = loadTrades(tradesSheet);
+  if (trades instanceof MoexError) {
+    spreadsheet.toast(trades.message, 'MOEX', 10);
+    return;
+  }
+  if (trades.length === 0) {
+    spreadsheet.toast('На листе "Сделки" нет сделок', 'MOEX', 10);
+    return;
+  }
+
+  const tradesByTicker = groupTradesBySecid(trades);
+  const tickers = Object.keys(tradesByTicker);
+  spreadsheet.toast(`Рассчитываю портфель (бумаг: ${tickers.length})...`, 'MOEX', 5);
 
-    const columns = data.securities.columns;
-    const row = data.securities.data[0];
+  // Погашенной или снятой с торгов бумаги нет в торгах: снимок нужен только открытым позициям
+  const snapshots = fetchBondSnapshots(tickers);
+  const positions = tickers.map((ticker) => {
+    const position = calcPortfolioPosition(ticker, tradesByTicker[ticker], snapshots[ticker]);
+    if (position instanceof MoexError) {
+      logMoexError(position, ticker);
+    }
+    return { ticker, position };
+  });
 
-    const matDateIndex = columns.indexOf('MATDATE');
+  const sheet = writePortfolioReport(spreadsheet, positions);
+  spreadsheet.setActiveSheet(sheet);
+  spreadsheet.toast('Портфель рассчитан', 'MOEX', 5);
+}
 
-    if (matDateIndex === -1) {
-      return 'Поле MATDATE отсутствует';
+/**
+ * Читает сделки с листа "Сделки": дата, тикер, операция (Покупка/Продажа), количество,
+ * цена в % от номинала, комиссия. Пустые строки пропускаются.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - Лист сделок.
+ * @return {Object[] | MoexError} - Сделки по возрастанию даты или MoexError с номером ошибочной строки.
+ */
+function loadTrades(sheet) {
+  const trades = [];
+  const values = sheet.getDataRange().getValues();
+  for (let i = 1; i < values.length; i++) {
+    const [date, ticker, operation, quantity, price, fees] = values[i];
+    if (values[i].every((v) => v === '' || v === null)) {
+      continue;
     }
 
-    const matDateStr = row[matDateIndex];
+    const rowError = (message) =>
+      new MoexError('BAD_ARG', `Лист "${TRADES_SHEET_NAME}", строка ${i + 1}: ${message}`);
+    const trade = {
+      date: toDateOrNull(date),
+      ticker: normalizeTicker(String(ticker || '')),
+      side: parseTradeSide(operation),
+      quantity: toNumberOrNull(quantity),
+      price: toNumberOrNull(price),
+      fees: toNumberOrNull(fees) || 0,
+    };
 
-    if (!matDateStr || matDateStr === '0000-00-00') {
-      return 'Дата погашения не определена';
+    if (!trade.date) {
+      return rowError('некорректная дата');
+    }
+    if (trade.ticker === '') {
+      return rowError('не указан тикер');
+    }
+    if (!trade.side) {
+      return rowError('операция должна быть "Покупка" или "Продажа"');
     }
+    if (!(trade.quantity > 0)) {
+      return rowError('некорректное количество');
+    }
+    if (trade.price === null || trade.price < 0) {
+      return rowError('некорректная цена');
+    }
+    trades.push(trade);
+  }
+  return trades.sort((a, b) => a.date - b.date);
+}
 
-    return new Date(matDateStr);
-  } catch (e) {
-    return 'Ошибка скрипта';
+/**
+ * Группирует сделки по бумагам. Одна бумага может быть записана по-разному (код, ISIN,
+ * название), поэтому тикеры переводятся в SECID: иначе покупка и продажа под разными
+ * написаниями попали бы в разные позиции. Тикер, который найти не удалось, остается ключом
+ * как есть — ошибка по нему выводится при расчете.
+ * @param {Object[]} trades - Сделки из loadTrades.
+ * @return {Object<string, Object[]>} - Сделки по SECID в порядке листа.
+ */
+function groupTradesBySecid(trades) {
+  const resolved = resolveTickers(trades.map((t) => t.ticker));
+  const tradesBySecid = {};
+  trades.forEach((t) => {
+    const key = resolved[t.ticker] instanceof MoexError ? t.ticker : resolved[t.ticker].secid;
+    tradesBySecid[key] = (tradesBySecid[key] || []).concat(t);
+  });
+  return tradesBySecid;
+}
+
+/**
+ * Определяет направление сделки по тексту операции.
+ * @param {string} operation - Значение колонки "Операция".
+ * @return {string | null} - 'buy', 'sell' или null, если операция не распознана.
+ */
+function parseTradeSide(operation) {
+  const text = String(operation || '').trim();
+  if (/^(покуп|buy)/i.test(text)) {
+    return 'buy';
   }
+  return /^(прод|sell)/i.test(text) ? 'sell' : null;
 }
 
 /**
- * Дополнительная функция для получения купона через bondization.
- * Ищет следующий купон, если его значение null - берет предыдущий известный.
+ * Рассчитывает позицию по одной бумаге: сделки и прошедшие выплаты из bondization
+ * обрабатываются по датам, покупки образуют лоты, продажи и амортизации списывают их по FIFO.
+ * Стоимость лота — цена в % × номинал на дату сделки плюс комиссия; НКД учитывается отдельно
+ * и уменьшает (уплаченный) или увеличивает (полученный при продаже) купонный доход.
+ * Купон получает владелец на дату фиксации реестра (если она не задана — на дату выплаты).
+ * Суммы в рублях (rub и доходы по годам) считаются по курсу на дату каждой операции,
+ * как для НДФЛ; рыночная стоимость и НКД — по текущему курсу.
+ * Снимок торгов нужен только для открытой позиции: закрытая позиция по погашенной или снятой
+ * с торгов бумаге считается по bondization и сделкам.
+ * @param {string} ticker - Тикер облигации.
+ * @param {Object[]} trades - Сделки по бумаге из loadTrades.
+ * @param {Object | MoexError} snapshot - Снимок из fetchBondSnapshot.
+ * @return {Object | MoexError} - Название, валюта, количество, стоимость покупки, рыночная
+ *   стоимость, результаты и доходы в валюте номинала, те же суммы в рублях (rub — null, если
+ *   нет курса, причина в fxError) и доходы по годам в рублях; или MoexError.
  */
-function fetchCouponFromBondization(ticker) {
-  const url = `https://iss.moex.com/iss/securities/${encodeURIComponent(ticker)}/bondization.json?iss.meta=off&limit=unlimited`;
+function calcPortfolioPosition(ticker, trades, snapshot) {
+  const schedule = loadBondSchedule(ticker);
+  if (schedule instanceof MoexError) {
+    return schedule;
+  }
+  const securities = snapshot instanceof MoexError ? {} : snapshot.securities;
+  const currency = normalizeCurrency(securities.FACEUNIT) || schedule.currency || 'RUB';
 
-  try {
-    const response = UrlFetchApp.fetch(url, { muteHttpExceptions: true });
-    if (response.getResponseCode() !== 200) {
-      return `Ошибка API (bondization): ${response.getResponseCode()}`;
+  // Без курса рублевые суммы становятся NaN и в итог не попадают (см. fxError)
+  let fxError = null;
+  const rubRate = (date) => {
+    const rate = currency === 'RUB' || fxError ? 1 : fetchFxRate(currency, date);
+    if (rate instanceof MoexError) {
+      fxError = rate;
     }
-    const data = JSON.parse(response.getContentText());
+    return fxError ? NaN : rate;
+  };
 
-    if (!data.coupons || !data.coupons.data || !data.coupons.columns) {
-      return 'Нет данных о купонах (bondization)';
+  const today = getToday();
+  const couponValues = fillCouponValues(schedule.coupons);
+  const events = trades.map((trade) => ({ date: trade.date, order: 1, trade }));
+  schedule.coupons.forEach((c, i) => {
+    if (c.date <= today && couponValues[i] !== null) {
+      events.push({
+        date: getRecordDate(c),
+        order: 0,
+        payDate: c.date,
+        coupon: couponValues[i],
+      });
     }
+  });
+  schedule.amortizations.forEach((a) => {
+    if (a.date <= today && a.value) {
+      events.push({ date: a.date, order: 0, payDate: a.date, amortization: a.value });
+    }
+  });
+  // В один день выплата достается тому, кто владел бумагой до сделок этого дня
+  events.sort((a, b) => a.date - b.date || a.order - b.order);
 
-    const columns = data.coupons.columns;
-    const rows = data.coupons.data;
+  const fields = [
+    'cost',
+    'marketValue',
+    'accrued',
+    'unrealized',
+    'realized',
+    'coupons',
+    'amortizations',
+    'fees',
+  ];
+  const result = {
+    name: securities.SHORTNAME || schedule.name || '',
+    currency,
+    quantity: 0,
+    rub: {},
+    years: {},
+  };
+  fields.forEach((f) => {
+    result[f] = 0;
+    result.rub[f] = 0;
+  });
+  const add = (field, amount, rate) => {
+    result[field] += amount;
+    result.rub[field] += amount * rate;
+  };
+  const addIncome = (date, field, amountRub) => {
+    const year = date.getFullYear();
+    result.years[year] = result.years[year] || { realized: 0, couponIncome: 0 };
+    result.years[year][field] += amountRub;
+  };
 
-    const dateIdx = columns.indexOf('coupondate');
-    const valueIdx = columns.indexOf('value');
-    const valueRubIdx = columns.indexOf('value_rub');
+  let lots = [];
+  const held = () => lots.reduce((sum, lot) => sum + lot.quantity, 0);
 
-    if (dateIdx === -1) return 'Нет даты купона в данных';
+  for (let i = 0; i < events.length; i++) {
+    const e = events[i];
+    if (typeof e.coupon === 'number') {
+      const amount = held() * e.coupon;
+      const rate = rubRate(e.payDate);
+      add('coupons', amount, rate);
+      addIncome(e.payDate, 'couponIncome', amount * rate);
+      continue;
+    }
 
-    // Преобразуем массив в объекты для удобства и сортируем по дате
-    const coupons = rows
-      .map((r) => {
-        // Безопасное получение значения: проверяем индекс и null
-        let val = null;
-        if (valueRubIdx !== -1 && r[valueRubIdx] !== null) {
-          val = r[valueRubIdx];
-        } else if (valueIdx !== -1 && r[valueIdx] !== null) {
-          val = r[valueIdx];
-        }
+    if (typeof e.amortization === 'number') {
+      const rate = rubRate(e.payDate);
+      lots.forEach((lot) => {
+        // Погашается доля номинала: списываем ту же долю стоимости лота
+        const share = Math.min(e.amortization, lot.faceValue) / lot.faceValue;
+        const gain = lot.quantity * (e.amortization - lot.unitCost * share);
+        const gainRub = lot.quantity * (e.amortization * rate - lot.unitCostRub * share);
+        add('amortizations', lot.quantity * e.amortization, rate);
+        result.realized += gain;
+        result.rub.realized += gainRub;
+        addIncome(e.payDate, 'realized', gainRub);
+        lot.unitCost -= lot.unitCost * share;
+        lot.unitCostRub -= lot.unitCostRub * share;
+        lot.faceValue -= e.amortization;
+      });
+      lots = lots.filter((lot) => lot.faceValue > 1e-9);
+      continue;
+    }
 
-        return {
-          date: new Date(r[dateIdx]),
-          value: val !== null ? parseFloat(val) : null,
-        };
-      })
-      .sort((a, b) => a.date - b.date);
+    const t = e.trade;
+    const faceValue = fetchFaceValueInternal(ticker, t.date);
+    if (faceValue instanceof MoexError) {
+      return faceValue;
+    }
+    const rate = rubRate(t.date);
+    // НКД по сделке платится на дату расчетов (T+1), а не на дату заключения
+    const accrued = t.quantity * calcAccruedInterest(schedule, getSettlementDate(t.date));
+    add('fees', t.fees, rate);
+
+    if (t.side === 'buy') {
+      const unitCost = (t.price / 100) * faceValue + t.fees / t.quantity;
+      lots.push({ quantity: t.quantity, faceValue, unitCost, unitCostRub: unitCost * rate });
+      addIncome(t.date, 'couponIncome', -accrued * rate);
+      continue;
+    }
+
+    if (t.quantity > held() + 1e-9) {
+      return new MoexError(
+        'BAD_ARG',
+        `Продажа ${formatIssDate(t.date)} превышает позицию (${held()} шт.)`
+      );
+    }
+    const unitProceeds = (t.price / 100) * faceValue - t.fees / t.quantity;
+    let remaining = t.quantity;
+    while (remaining > 1e-9) {
+      const lot = lots[0];
+      const quantity = Math.min(lot.quantity, remaining);
+      const gainRub = quantity * (unitProceeds * rate - lot.unitCostRub);
+      result.realized += quantity * (unitProceeds - lot.unitCost);
+      result.rub.realized += gainRub;
+      addIncome(t.date, 'realized', gainRub);
+      lot.quantity -= quantity;
+      remaining -= quantity;
+      if (lot.quantity <= 1e-9) {
+        lots.shift();
+      }
+    }
+    addIncome(t.date, 'couponIncome', accrued * rate);
+  }
 
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
+  result.quantity = held();
+  result.cost = lots.reduce((sum, lot) => sum + lot.quantity * lot.unitCost, 0);
+  result.rub.cost = lots.reduce((sum, lot) => sum + lot.quantity * lot.unitCostRub, 0);
+  if (result.quantity > 0) {
+    if (snapshot instanceof MoexError) {
+      return snapshot;
+    }
+    const price = getSnapshotPrice(snapshot);
+    if (price instanceof MoexError) {
+      return price;
+    }
+    const faceValue = fetchFaceValueInternal(ticker, today);
+    if (faceValue instanceof MoexError) {
+      return faceValue;
+    }
+    const rate = rubRate(today);
+    result.marketValue = result.quantity * (price / 100) * faceValue;
+    result.accrued = result.quantity * (toNumberOrNull(securities.ACCRUEDINT) || 0);
+    result.unrealized = result.marketValue - result.cost;
+    result.rub.marketValue = result.marketValue * rate;
+    result.rub.accrued = result.accrued * rate;
+    result.rub.unrealized = result.rub.marketValue - result.rub.cost;
+  }
 
-    let lastKnownValue = null;
-    let nextCoupon = null;
+  if (fxError) {
+    result.rub = null;
+    result.years = {};
+    result.fxError = fxError;
+  }
+  return result;
+}
 
-    for (let i = 0; i < coupons.length; i++) {
-      const c = coupons[i];
+/**
+ * Рассчитывает НДФЛ с годовой налоговой базы: 13% до NDFL_THRESHOLD и 15% с превышения.
+ * @param {number} base - Налоговая база за год.
+ * @return {number} - Налог (0, если база не положительная).
+ */
+function calcNdfl(base) {
+  if (base <= 0) {
+    return 0;
+  }
+  return (
+    Math.min(base, NDFL_THRESHOLD) * NDFL_RATE + Math.max(base - NDFL_THRESHOLD, 0) * NDFL_HIGH_RATE
+  );
+}
 
-      // Если дата купона в будущем (или сегодня)
-      if (c.date >= today) {
-        nextCoupon = c;
-        // Если у следующего купона есть значение и оно не 0, возвращаем его
-        if (c.value !== null && !isNaN(c.value) && c.value !== 0) {
-          return c.value;
-        }
-        // Если значения нет или оно 0, прерываем цикл, чтобы вернуть lastKnownValue
-        break;
-      }
+/**
+ * Записывает отчет на лист "Портфель": строка на бумагу в валюте номинала, итог в рублях
+ * (по курсу на дату каждой операции, рыночная стоимость и НКД — по текущему курсу) и оценка
+ * НДФЛ по годам. Если по бумаге нет расчета или курса к рублю, итог помечается неполным,
+ * а НДФЛ не оценивается.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} spreadsheet - Таблица.
+ * @param {Array<{ticker: string, position: Object | MoexError}>} positions -
+ *   Результаты calcPortfolioPosition по бумагам.
+ * @return {GoogleAppsScript.Spreadsheet.Sheet} - Лист отчета.
+ */
+function writePortfolioReport(spreadsheet, positions) {
+  const fields = [
+    'quantity',
+    'cost',
+    'marketValue',
+    'accrued',
+    'unrealized',
+    'realized',
+    'coupons',
+    'amortizations',
+    'fees',
+  ];
+  const header = [
+    'Тикер',
+    'Название',
+    'Количество',
+    'Стоимость покупки',
+    'Рыночная стоимость',
+    'НКД',
+    'Нереализованный результат',
+    'Реализованный результат',
+    'Купоны',
+    'Амортизация и погашение',
+    'Комиссии',
+    'Валюта',
+  ];
 
-      // Запоминаем последнее известное значение из прошлых купонов
-      // Для прошлых купонов 0 может быть валидным значением (хотя редко), но пока оставим как есть
-      // Если мы хотим быть строгими к флоатерам, можно тоже игнорировать 0, но это рискованно для других типов.
-      // Однако, если мы ищем "предыдущий известный", то 0 вряд ли полезен.
-      // Давайте игнорировать 0 и здесь для надежности.
-      if (c.value !== null && !isNaN(c.value) && c.value !== 0) {
-        lastKnownValue = c.value;
-      }
+  const total = {};
+  fields.slice(1).forEach((f) => {
+    total[f] = 0;
+  });
+  const years = {};
+  // Бумаги, не вошедшие в итог и НДФЛ: без них оба расчета были бы занижены незаметно
+  const missing = [];
+  const rows = positions.map(({ ticker, position }) => {
+    if (position instanceof MoexError) {
+      missing.push(ticker);
+      return [ticker, position.message].concat(
+        fields.map(() => ''),
+        ['']
+      );
     }
 
-    if (lastKnownValue !== null) {
-      return lastKnownValue;
+    let name = position.name;
+    if (position.rub === null) {
+      missing.push(ticker);
+      name = `${name} — нет курса к рублю: ${position.fxError.message}`;
+    } else {
+      fields.slice(1).forEach((f) => {
+        total[f] += position.rub[f];
+      });
+      Object.keys(position.years).forEach((year) => {
+        years[year] = years[year] || { realized: 0, couponIncome: 0 };
+        years[year].realized += position.years[year].realized;
+        years[year].couponIncome += position.years[year].couponIncome;
+      });
     }
+    return [ticker, name].concat(
+      fields.map((f) => position[f]),
+      position.currency
+    );
+  });
+  const totalRow = [
+    missing.length > 0 ? `Итого (неполный, без ${missing.join(', ')})` : 'Итого',
+    '',
+  ].concat(
+    '',
+    fields.slice(1).map((f) => total[f]),
+    'RUB'
+  );
 
-    return 'Купон не определен';
-  } catch (e) {
-    return 'Ошибка bondization: ' + e.message;
+  const taxHeader = [
+    'Год',
+    'Реализованный результат',
+    'Купонный доход с учетом НКД',
+    'Налоговая база',
+    'НДФЛ (оценка)',
+  ];
+  const taxRows = Object.keys(years)
+    .sort()
+    .map((year) => {
+      const { realized, couponIncome } = years[year];
+      const base = Math.max(realized + couponIncome, 0);
+      return [Number(year), realized, couponIncome, base, calcNdfl(base)];
+    });
+
+  const sheet =
+    spreadsheet.getSheetByName(PORTFOLIO_SHEET_NAME) ||
+    spreadsheet.insertSheet(PORTFOLIO_SHEET_NAME);
+  sheet.clear();
+  sheet.getRange(1, 1, 1, 2).setValues([['Рассчитано', new Date()]]);
+  const table = [header].concat(rows, [totalRow]);
+  sheet.getRange(3, 1, table.length, header.length).setValues(table);
+
+  const taxStart = table.length + 5;
+  if (missing.length > 0) {
+    sheet
+      .getRange(taxStart - 1, 1)
+      .setValue(`НДФЛ по годам не рассчитан: нет данных или курса по ${missing.join(', ')}`);
+    return sheet;
   }
+  sheet.getRange(taxStart - 1, 1).setValue('НДФЛ по годам, RUB');
+  const taxTable = [taxHeader].concat(taxRows);
+  sheet.getRange(taxStart, 1, taxTable.length, taxHeader.length).setValues(taxTable);
+  return sheet;
 }
 
 /**
- * Кастомная функция для ячейки. Возвращает БЛИЖАЙШУЮ ДАТУ (Put/Call опцион или амортизация).
- * Пытается установить примечание к ячейке с деталями (работает только при запуске из скрипта, не как UDF).
- * @param {string} ticker ISIN или Торговый код облигации.
- * @return {Date | string} Ближайшая дата или текст ошибки.
+ * Кастомная функция для диапазона. Возвращает КАЛЕНДАРЬ ВЫПЛАТ по позициям: купоны,
+ * амортизации и погашения всех бумаг, сгруппированные по месяцам, в рублях по текущему курсу.
+ * @param {string[][]} tickers Диапазон с тикерами (например, A2:A30).
+ * @param {number[][]} quantities Диапазон с количеством облигаций той же формы (например, B2:B30).
+ * @param {number} [months] Количество месяцев, начиная с текущего. По умолчанию — 12.
+ * @return {Array<Array<*>>} Таблица: месяц, купоны, амортизация и погашение, итого, из них прогноз купонов.
  * @customfunction
  */
-function GET_NEAREST_OPTION_DATE(ticker) {
-  if (!ticker) return 'Укажите тикер';
-
-  // Получаем данные
-  const result = fetchBondOptionDatesInternal(ticker);
+function GET_INCOME_CALENDAR(tickers, quantities, months) {
+  return runCustomFunction(null, () => {
+    const tickerList = normalizeTickerRange(tickers).flat();
+    const quantityList = normalizeTickerRange(quantities).flat();
+    if (tickerList.length !== quantityList.length) {
+      return new MoexError('BAD_ARG', 'Диапазоны тикеров и количества должны быть одного размера');
+    }
 
-  if (typeof result === 'string') {
-    return result; // Возвращаем ошибку
-  }
+    const monthCount = months ? parseInt(months, 10) : INCOME_CALENDAR_MONTHS;
+    if (!(monthCount > 0 && monthCount <= INCOME_CALENDAR_MAX_MONTHS)) {
+      return new MoexError(
+        'BAD_ARG',
+        `Количество месяцев должно быть от 1 до ${INCOME_CALENDAR_MAX_MONTHS}`
+      );
+    }
 
-  // Пытаемся установить примечание (Note).
-  // ВНИМАНИЕ: В контексте простой формулы (Custom Function) это обычно НЕ работает или запрещено.
-  // Но если функция вызывается скриптом, это сработает.
-  try {
-    const sheet = SpreadsheetApp.getActiveSpreadsheet();
-    // Проверка, не находимся ли мы в контексте ограничения
-    if (sheet) {
-      const range = SpreadsheetApp.getActiveRange();
-      if (range) {
-        range.setNote(result.note);
+    const holdings = [];
+    for (let i = 0; i < tickerList.length; i++) {
+      if (tickerList[i] === '') {
+        continue;
       }
+      const quantity = toNumberOrNull(quantityList[i]);
+      if (quantity === null) {
+        return new MoexError('BAD_ARG', `Некорректное количество для ${tickerList[i]}`);
+      }
+      holdings.push({ ticker: tickerList[i], quantity });
     }
-  } catch (e) {
-    // Игнорируем ошибку установки примечания, так как в UDF это часто невозможно
-    // console.log('Не удалось установить примечание: ' + e.message);
-  }
 
-  return result.date;
+    return calcIncomeCalendar(holdings, monthCount);
+  });
 }
 
 /**
- * Внутренняя функция для получения дат опционов и амортизаций.
- * @param {string} ticker - ISIN или код бумаги.
- * @return {Object | string} - Объект { date: Date, note: string } или строка ошибки.
+ * Собирает будущие выплаты позиций в помесячную таблицу.
+ * Суммы переводятся в рубли по текущему курсу MOEX (см. getBondFxRate).
+ * Бумаги без графика или курса пропускаются и перечисляются строками под таблицей, там же —
+ * купоны флоатеров, которые нельзя спрогнозировать без данных о базовой ставке.
+ * @param {Array<{ticker: string, quantity: number}>} holdings - Позиции.
+ * @param {number} monthCount - Количество месяцев, начиная с текущего.
+ * @return {Array<Array<*>>} - Таблица с заголовком и строками пропущенных бумаг.
  */
-function fetchBondOptionDatesInternal(ticker) {
-  const url = `https://iss.moex.com/iss/securities/${encodeURIComponent(ticker)}/bondization.json?iss.meta=off&limit=unlimited`;
+function calcIncomeCalendar(holdings, monthCount) {
+  const today = getToday();
+  const start = new Date(today.getFullYear(), today.getMonth(), 1);
+  const rows = [];
+  for (let m = 0; m < monthCount; m++) {
+    rows.push([new Date(start.getFullYear(), start.getMonth() + m, 1), 0, 0, 0, 0]);
+  }
 
-  try {
-    const response = UrlFetchApp.fetch(url, { muteHttpExceptions: true });
-    if (response.getResponseCode() !== 200) {
-      return `Ошибка API: ${response.getResponseCode()}`;
-    }
-    const data = JSON.parse(response.getContentText());
-
-    // Проверяем наличие необходимых блоков данных
-    // Обычно это 'amortizations' и 'offers'
-    const amortizations = data.amortizations;
-    const offers = data.offers;
-
-    // Массив всех найденных будущих событий
-    let events = [];
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-
-    // 1. Обработка амортизаций
-    if (amortizations && amortizations.columns && amortizations.data) {
-      const cols = amortizations.columns;
-      const dateIdx = cols.indexOf('amortdate');
-      // const valIdx = cols.indexOf('value'); // процент или сумма, для инфо (не используется)
-
-      if (dateIdx !== -1) {
-        amortizations.data.forEach((row) => {
-          const dStr = row[dateIdx];
-          if (dStr) {
-            const d = new Date(dStr);
-            if (d >= today) {
-              events.push({
-                date: d,
-                type: 'Амортизация',
-                description: `Амортизация: ${dStr}`,
-              });
-            }
-          }
-        });
-      }
-    }
+  // Снимки загружаем заранее одним запросом: они нужны для валюты каждой бумаги
+  fetchBondSnapshots(holdings.map((h) => h.ticker));
 
-    // 2. Обработка оферт (Put/Call)
-    // В MOEX 'offers' обычно содержит оферты (Put).
-    // Call-опционы могут быть там же или в отдельной таблице, но чаще всего 'offers' - это Put/Call.
-    // Нужно смотреть поле 'offertype' или подобное, если оно есть.
-    if (offers && offers.columns && offers.data) {
-      const cols = offers.columns;
-      const dateIdx = cols.indexOf('offerdate');
-      const typeIdx = cols.indexOf('offertype'); // Может отсутствовать
-
-      if (dateIdx !== -1) {
-        offers.data.forEach((row) => {
-          const dStr = row[dateIdx];
-          if (dStr) {
-            const d = new Date(dStr);
-            if (d >= today) {
-              let type = 'Оферта';
-              // Пытаемся уточнить тип, если есть поле offertype
-              if (typeIdx !== -1 && row[typeIdx]) {
-                type = row[typeIdx]; // Например "Put", "Call" или код
-              }
-
-              // Если тип не определен явно, считаем Put (стандартная оферта)
-              // Можно добавить логику: если это Call, то помечаем как Call
-
-              events.push({
-                date: d,
-                type: type, // 'Оферта' (Put) или 'Call'
-                description: `${type}: ${dStr}`,
-              });
-            }
-          }
-        });
-      }
+  const skipped = [];
+  for (let i = 0; i < holdings.length; i++) {
+    const { ticker, quantity } = holdings[i];
+    const events = fetchBondCashflows(ticker);
+    const fx = events instanceof MoexError ? events : getBondFxRate(ticker, 'RUB');
+    if (fx instanceof MoexError) {
+      // Одна ошибочная бумага не должна ломать весь календарь: как в пакетных функциях,
+      // она пропускается, а ошибка пишется в журнал и под таблицу
+      logMoexError(fx, ticker);
+      skipped.push([`Не учтена ${ticker}: ${fx.message}`, '', '', '', '']);
+      continue;
     }
 
-    // Если событий нет
-    if (events.length === 0) {
-      // Можно вернуть дату погашения как fallback, или сообщение
-      // Пользователь просил "выбрать самую ближайшую". Если нет опционов/амортизаций, возможно стоит вернуть MATDATE?
-      // Но функция называется GET_NEAREST_OPTION_DATE.
-      // Давайте вернем null или сообщение, чтобы не путать с погашением.
-      // Или проверим MATDATE?
-      // Логичнее вернуть "Нет оферт/аморт."
-      return 'Нет оферт/аморт.';
+    let unknownCoupons = 0;
+    events.forEach((e) => {
+      const date = new Date(e.date);
+      const m =
+        (date.getFullYear() - start.getFullYear()) * 12 + date.getMonth() - start.getMonth();
+      if (m >= monthCount || e.type === 'offer') {
+        return;
+      }
+      if (e.amount === null) {
+        unknownCoupons += e.type === 'coupon' ? 1 : 0;
+        return;
+      }
+      const amount = e.amount * quantity * fx.rate;
+      if (e.type === 'coupon') {
+        rows[m][1] += amount;
+        if (e.estimated) {
+          rows[m][4] += amount;
+        }
+      } else {
+        rows[m][2] += amount;
+      }
+      rows[m][3] += amount;
+    });
+    if (unknownCoupons > 0) {
+      skipped.push([
+        `Не учтены купоны ${ticker} (${unknownCoupons}): нет данных о базовой ставке`,
+        '',
+        '',
+        '',
+        '',
+      ]);
     }
+  }
 
-    // Сортируем события по дате
-    events.sort((a, b) => a.date - b.date);
+  const header = ['Месяц', 'Купоны', 'Амортизация и погашение', 'Итого', 'Из них прогноз купонов'];
+  return [header].concat(rows, skipped);
+}
 
-    // Ближайшее событие
-    const nearest = events[0];
+/**
+ * Создает лист "Календарь выплат" с текущими позициями по листу "Сделки" (покупки минус продажи)
+ * и формулой GET_INCOME_CALENDAR по ним.
+ */
+function runIncomeCalendar() {
+  const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+  const tradesSheet = spreadsheet.getSheetByName(TRADES_SHEET_NAME);
+  if (!tradesSheet) {
+    spreadsheet.toast(
+      'Нет листа "Сделки": создайте его через пункт меню "Рассчитать портфель"',
+      'MOEX',
+      10
+    );
+    return;
+  }
 
-    // Формируем текст примечания со всеми датами
-    // Убираем дубликаты описаний, если вдруг
-    const uniqueDescriptions = [...new Set(events.map((e) => e.description))];
-    const noteText = uniqueDescriptions.join('\n') + `\n\nБлижайшая: ${nearest.description}`;
+  const trades = loadTrades(tradesSheet);
+  if (trades instanceof MoexError) {
+    spreadsheet.toast(trades.message, 'MOEX', 10);
+    return;
+  }
 
-    return {
-      date: nearest.date,
-      note: noteText,
-    };
-  } catch (e) {
-    return 'Ошибка скрипта: ' + e.message;
+  const quantities = {};
+  const tradesBySecid = groupTradesBySecid(trades);
+  Object.keys(tradesBySecid).forEach((secid) => {
+    quantities[secid] = tradesBySecid[secid].reduce(
+      (sum, t) => sum + (t.side === 'buy' ? t.quantity : -t.quantity),
+      0
+    );
+  });
+  const holdings = Object.keys(quantities)
+    .filter((t) => quantities[t] > 0)
+    .map((t) => [t, quantities[t]]);
+  if (holdings.length === 0) {
+    spreadsheet.toast('По листу "Сделки" нет открытых позиций', 'MOEX', 10);
+    return;
   }
+
+  const sheet =
+    spreadsheet.getSheetByName(INCOME_CALENDAR_SHEET_NAME) ||
+    spreadsheet.insertSheet(INCOME_CALENDAR_SHEET_NAME);
+  sheet.clear();
+  sheet
+    .getRange(1, 1, holdings.length + 1, 2)
+    .setValues([['Тикер', 'Количество']].concat(holdings));
+  sheet.setFrozenRows(1);
+
+  const lastRow = holdings.length + 1;
+  sheet
+    .getRange(1, 4)
+    .setFormula(`=GET_INCOME_CALENDAR(A2:A${lastRow}, B2:B${lastRow}, ${INCOME_CALENDAR_MONTHS})`);
+  spreadsheet.setActiveSheet(sheet);
 }